@@ -0,0 +1,290 @@
+// Content side of the findbar's regex mode and all-tabs search
+// (findbar.uc.js). Runs the pattern over the page's visible text, selects the
+// current match the way the built-in finder does, and highlights every match
+// when asked. Replies with the { current, total, limit } shape
+// findbar.onMatchesCountResult takes.
+
+// Text in these never shows up as page text.
+const SKIPPED = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE"]);
+// Text across these runs on; any other element boundary counts as a line
+// break, so a match can't jump from one paragraph into the next.
+const INLINE = new Set([
+	"A",
+	"ABBR",
+	"B",
+	"BDI",
+	"BDO",
+	"CITE",
+	"CODE",
+	"DATA",
+	"DEL",
+	"DFN",
+	"EM",
+	"FONT",
+	"I",
+	"INS",
+	"KBD",
+	"LABEL",
+	"MARK",
+	"Q",
+	"S",
+	"SAMP",
+	"SMALL",
+	"SPAN",
+	"STRONG",
+	"SUB",
+	"SUP",
+	"TIME",
+	"U",
+	"VAR",
+]);
+
+function blockOf(node) {
+	let element = node.parentElement;
+	while (element?.parentElement && INLINE.has(element.nodeName.toUpperCase()))
+		element = element.parentElement;
+	return element;
+}
+
+// Each accented letter as its base letter, "é" -> "e", one character for one
+// so offsets into the folded text still point into the page.
+function foldDiacritics(text) {
+	return text.replace(/[^\0-\x7f]/g, (ch) => {
+		const decomposed = ch.normalize("NFD");
+		return /^.\p{M}+$/u.test(decomposed) ? decomposed[0] : ch;
+	});
+}
+
+// The page's text as one string, with where each text node starts in it.
+export function collectText(document) {
+	const root = document.body ?? document.documentElement;
+	const segments = [];
+	let text = "";
+	if (!root) return { text, segments };
+	const walker = document.createTreeWalker(root, 4 /* SHOW_TEXT */, {
+		acceptNode(node) {
+			const parent = node.parentElement;
+			if (!parent || SKIPPED.has(parent.nodeName.toUpperCase())) return 2; // FILTER_REJECT
+			return parent.checkVisibility?.() === false ? 2 : 1;
+		},
+	});
+	let lastBlock = null;
+	for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+		if (!node.data) continue;
+		const block = blockOf(node);
+		if (segments.length && block !== lastBlock) text += "\n";
+		lastBlock = block;
+		segments.push({ node, start: text.length });
+		text += node.data;
+	}
+	return { text, segments };
+}
+
+// The segment holding text offset `offset`, by binary search.
+function segmentAt(segments, offset) {
+	let low = 0;
+	let high = segments.length - 1;
+	while (low < high) {
+		const mid = (low + high + 1) >> 1;
+		if (segments[mid].start <= offset) low = mid;
+		else high = mid - 1;
+	}
+	return segments[low];
+}
+
+// Without matchDiacritics, the pattern (always a literal one then) and the
+// text it runs over are both folded.
+const searchable = (text, matchDiacritics) =>
+	matchDiacritics ? text : foldDiacritics(text);
+
+// Matches of regex in the text as DOM ranges, at most limit + 1 of them so
+// the caller can tell the limit was passed.
+export function findRanges(document, regex, limit, matchDiacritics = true) {
+	const { text, segments } = collectText(document);
+	const ranges = [];
+	for (const match of searchable(text, matchDiacritics).matchAll(regex)) {
+		if (!match[0]) continue; // Nothing to select for a zero-width match
+		const end = match.index + match[0].length;
+		const first = segmentAt(segments, match.index);
+		const last = segmentAt(segments, end - 1);
+		const range = document.createRange();
+		range.setStart(
+			first.node,
+			Math.min(match.index - first.start, first.node.length),
+		);
+		range.setEnd(last.node, Math.min(end - last.start, last.node.length));
+		ranges.push(range);
+		if (ranges.length > limit) break;
+	}
+	return ranges;
+}
+
+// Characters of context either side of a match in a search snippet.
+const SNIPPET_CONTEXT = 40;
+
+// A match with the text around it, kept to the match's own line.
+function snippetOf(text, match) {
+	const end = match.index + match[0].length;
+	const lineStart = text.lastIndexOf("\n", match.index - 1) + 1;
+	const start = Math.max(lineStart, match.index - SNIPPET_CONTEXT);
+	let lineEnd = text.indexOf("\n", end);
+	if (lineEnd === -1) lineEnd = text.length;
+	const stop = Math.min(lineEnd, end + SNIPPET_CONTEXT);
+	const squash = (part) => part.replace(/\s+/g, " ");
+	return {
+		before: squash(text.slice(start, match.index)).trimStart(),
+		match: squash(text.slice(match.index, end)),
+		after: squash(text.slice(end, stop)).trimEnd(),
+	};
+}
+
+const before = (a, b) => a.compareBoundaryPoints(0 /* START_TO_START */, b) < 0;
+
+export class NugFindChild extends JSWindowActorChild {
+	// The current match, so typing more or finding again moves on from it.
+	current = null;
+
+	receiveMessage({ name, data }) {
+		switch (name) {
+			case "NugFind:Regex":
+				return this.find(data);
+			case "NugFind:Search":
+				return this.search(data);
+			case "NugFind:Clear":
+				this.clear();
+				return null;
+		}
+		return null;
+	}
+
+	get controller() {
+		return this.docShell
+			.QueryInterface(Ci.nsIInterfaceRequestor)
+			.getInterface(Ci.nsISelectionDisplay)
+			.QueryInterface(Ci.nsISelectionController);
+	}
+
+	find({
+		source,
+		flags,
+		findPrevious = false,
+		again = false,
+		index: wanted,
+		highlightAll,
+		limit,
+		matchDiacritics = true,
+	}) {
+		let regex;
+		try {
+			regex = new RegExp(
+				searchable(source, matchDiacritics),
+				flags.includes("g") ? flags : `${flags}g`,
+			);
+		} catch (e) {
+			return { current: 0, total: 0, limit, error: e.message };
+		}
+		const document = this.document;
+		const ranges = findRanges(document, regex, limit, matchDiacritics);
+		const overLimit = ranges.length > limit;
+		if (overLimit) ranges.length = limit;
+		if (!ranges.length) {
+			this.clear();
+			return { current: 0, total: 0, limit, wrapped: false };
+		}
+
+		// From the previous match: typing more keeps it if it still matches,
+		// finding again steps past it. Running off either end wraps.
+		let index = 0;
+		let wrapped = false;
+		const previous = this.current?.startContainer.isConnected
+			? this.current
+			: null;
+		// A match picked from the all-tabs results, by its place on the page.
+		if (Number.isInteger(wanted)) {
+			index = Math.min(Math.max(wanted, 0), ranges.length - 1);
+		} else if (previous && findPrevious) {
+			index = ranges.findLastIndex((range) => before(range, previous));
+			if (index === -1) {
+				index = ranges.length - 1;
+				wrapped = true;
+			}
+		} else if (previous) {
+			index = ranges.findIndex((range) =>
+				again ? before(previous, range) : !before(range, previous),
+			);
+			if (index === -1) {
+				index = 0;
+				wrapped = again;
+			}
+		}
+		this.current = ranges[index];
+		this.show(ranges, highlightAll);
+		return {
+			current: index + 1,
+			total: overLimit ? -1 : ranges.length,
+			limit,
+			wrapped,
+		};
+	}
+
+	// Counts matches without touching the selection, with the first few as
+	// snippets for the all-tabs results.
+	search({ source, flags, limit, snippets, matchDiacritics = true }) {
+		let regex;
+		try {
+			regex = new RegExp(
+				searchable(source, matchDiacritics),
+				flags.includes("g") ? flags : `${flags}g`,
+			);
+		} catch (e) {
+			return { total: 0, limit, matches: [], error: e.message };
+		}
+		const { text } = collectText(this.document);
+		const matches = [];
+		let total = 0;
+		for (const match of searchable(text, matchDiacritics).matchAll(regex)) {
+			if (!match[0]) continue;
+			if (total === limit) return { total: -1, limit, matches };
+			if (matches.length < snippets) {
+				matches.push({ index: total, ...snippetOf(text, match) });
+			}
+			total++;
+		}
+		return { total, limit, matches };
+	}
+
+	show(ranges, highlightAll) {
+		const controller = this.controller;
+		const found = controller.getSelection(
+			Ci.nsISelectionController.SELECTION_FIND,
+		);
+		found.removeAllRanges();
+		if (highlightAll) for (const range of ranges) found.addRange(range);
+		const selection = controller.getSelection(
+			Ci.nsISelectionController.SELECTION_NORMAL,
+		);
+		selection.removeAllRanges();
+		selection.addRange(this.current);
+		// Painted like the built-in finder's current match.
+		controller.setDisplaySelection(
+			Ci.nsISelectionController.SELECTION_ATTENTION,
+		);
+		controller.repaintSelection(Ci.nsISelectionController.SELECTION_NORMAL);
+		controller.scrollSelectionIntoView(
+			Ci.nsISelectionController.SELECTION_NORMAL,
+			Ci.nsISelectionController.SELECTION_WHOLE_SELECTION,
+			Ci.nsISelectionController.SCROLL_CENTER_VERTICALLY,
+		);
+	}
+
+	clear() {
+		this.current = null;
+		try {
+			this.controller
+				.getSelection(Ci.nsISelectionController.SELECTION_FIND)
+				.removeAllRanges();
+		} catch (e) {
+			// The page went away with its selections.
+		}
+	}
+}
@@ -0,0 +1,3 @@
+// Parent side of the NugFind actor. Everything happens in the child; the
+// findbar only needs something to call sendQuery on.
+export class NugFindParent extends JSWindowActorParent {}
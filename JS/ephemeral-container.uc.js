@@ -10,21 +10,29 @@
 //   nug.ephemeral.debug      bool    default false  - verbose [nug-ephemeral] logging
 //   nug.ephemeral.dryrun     bool    default false  - log intended actions but DON'T
 //                                                     suppress history or wipe data
+//   nug.keys.wipe-ephemeral  string  default ""     - shortcut for wipeNow(), e.g.
+//                                                     "accel+alt+shift+W"; unbound so
+//                                                     no stray keystroke can wipe
 //
 // DEBUGGING:
-//   Services.__nugEphemeral.events      -> recent event log (ring buffer)
+//   Nug.log.entries({ feature: "ephemeral" })  -> recent event log (ring buffer)
+//   Nug.log.export()                           -> save it to a file for a bug report
 //   Services.__nugEphemeral.api.status()
 //   Services.__nugEphemeral.api.wipeNow()    -> wipe the container's site data now
 //   Services.__nugEphemeral.api.applyNow()   -> (re)apply history suppression to open tabs
+//
+// BUS TOPICS (Nug.bus):
+//   ephemeral:wiped   { ucid, reason, failedFlags }  - after a wipe finishes
+//   ephemeral:apply   (no data)                      - every window re-applies suppression
 
 (function () {
 	if (location.href !== "chrome://browser/content/browser.xhtml") return;
 
-	// On Services (process-wide) so the launch-wipe guard, event buffer, and debug
-	// API are reachable from any window and any chrome console scope.
+	// On Services (process-wide) so the launch-wipe guard and debug API are
+	// reachable from any window and any chrome console scope. The event log is
+	// Nug.log's shared buffer.
 	const shared = (Services.__nugEphemeral ??= {
 		launchWiped: false,
-		events: [],
 		api: null,
 	});
 
@@ -43,45 +51,14 @@
 		);
 	} catch (e) {}
 
-	const getBool = (p, d) => {
-		try {
-			return Services.prefs.getBoolPref(p, d);
-		} catch (e) {
-			return d;
-		}
-	};
-	const getStr = (p, d) => {
-		try {
-			return Services.prefs.getStringPref(p, d);
-		} catch (e) {
-			return d;
-		}
-	};
-
-	const enabled = () => getBool("nug.ephemeral.enabled", true);
-	const debug = () => getBool("nug.ephemeral.debug", false);
-	const dryRun = () => getBool("nug.ephemeral.dryrun", false);
-	const containerName = () => getStr("nug.ephemeral.container", "Ephemeral");
+	const { prefs } = window.Nug;
+	const enabled = () => prefs.get("nug.ephemeral.enabled");
+	const dryRun = () => prefs.get("nug.ephemeral.dryrun");
+	const containerName = () => prefs.get("nug.ephemeral.container");
 
-	function log(event, data) {
-		const entry = {
-			t: new Date().toISOString().slice(11, 23),
-			win: winId,
-			event,
-			data,
-		};
-		shared.events.push(entry);
-		if (shared.events.length > 300) shared.events.shift();
-		if (!debug()) return;
-		try {
-			console.log(
-				`%c[nug-ephemeral]%c ${entry.t} win:${winId} ${event}`,
-				"color:#cba6f7;font-weight:bold",
-				"color:inherit",
-				data ?? "",
-			);
-		} catch (e) {}
-	}
+	// Info level, so wipe decisions are always in the buffer for bug reports;
+	// nug.ephemeral.debug only controls console output.
+	const log = (event, data) => window.Nug.log("ephemeral", event, data);
 
 	function ephemeralUcid() {
 		const name = containerName();
@@ -142,23 +119,35 @@
 		try {
 			Services.clearData.deleteDataFromOriginAttributesPattern(
 				{ userContextId: ucid },
-				(failedFlags) =>
-					failedFlags
-						? log("WIPE site-data PARTIAL", {
-								ucid,
-								reason,
-								failedFlags,
-							})
-						: log("WIPE site-data done", { ucid, reason }),
+				(failedFlags) => {
+					if (failedFlags)
+						log("WIPE site-data PARTIAL", {
+							ucid,
+							reason,
+							failedFlags,
+						});
+					else log("WIPE site-data done", { ucid, reason });
+					window.Nug.bus.publish("ephemeral:wiped", {
+						ucid,
+						reason,
+						failedFlags,
+					});
+				},
 			);
 			return true;
 		} catch (e) {
-			console.error("[nug-ephemeral] clearData threw:", e);
-			log("WIPE site-data FAILED", { ucid, reason, error: String(e) });
+			window.Nug.log.error("ephemeral", "WIPE site-data FAILED", {
+				ucid,
+				reason,
+				error: String(e),
+			});
 			return false;
 		}
 	}
 
+	// Counted by walking the windows directly rather than asking over the bus:
+	// a window that failed to init would never answer, and a missing answer
+	// must not read as "no tabs left" when the result decides a wipe.
 	function ephemeralTabsOpen(ucid, label, excludeWin) {
 		const perWindow = [];
 		let total = 0;
@@ -177,17 +166,19 @@
 		return total;
 	}
 
-	function applyNow() {
-		for (const win of Services.wm.getEnumerator("navigator:browser")) {
-			const gb = win.gBrowser;
-			if (!gb) continue;
-			for (const tab of gb.tabs) {
-				if (tab.hasAttribute("pending")) continue; // lazy; handled on insert
-				maybeSuppress(tab, "applyNow");
-			}
+	// Pending (lazy) tabs are skipped; onTabBrowserInserted catches them when
+	// their browser is created.
+	function applyToWindow(reason) {
+		for (const tab of gBrowser.tabs) {
+			if (tab.hasAttribute("pending")) continue;
+			maybeSuppress(tab, reason);
 		}
 	}
 
+	function applyNow() {
+		window.Nug.bus.publish("ephemeral:apply");
+	}
+
 	function wipeNow() {
 		const ucid = ephemeralUcid();
 		log("wipeNow() called", { ucid });
@@ -237,7 +228,27 @@
 
 	let ContextualIdentityService;
 
-	function init() {
+	// Closing a single window does NOT fire per-tab TabClose, so wipe here if no
+	// ephemeral tabs remain in the OTHER windows.
+	function onWindowClose() {
+		// On a full quit the next launch wipe handles it; don't race shutdown.
+		if (Services.startup.shuttingDown) return;
+		try {
+			const u = ephemeralUcid();
+			if (!enabled() || u == null) return;
+			let hadOurs = false;
+			for (const tab of gBrowser.tabs) {
+				if (tabUcid(tab) === u) {
+					hadOurs = true;
+					break;
+				}
+			}
+			if (hadOurs && ephemeralTabsOpen(u, "window-close", window) === 0)
+				wipeSiteData(u, "last-ephemeral-window-closed");
+		} catch (e) {}
+	}
+
+	function init(ctx) {
 		try {
 			({ ContextualIdentityService } = ChromeUtils.importESModule(
 				"resource://gre/modules/ContextualIdentityService.sys.mjs",
@@ -257,43 +268,14 @@
 			launchWipedAlready: shared.launchWiped,
 		});
 
-		window.addEventListener("TabBrowserInserted", onTabBrowserInserted);
-		window.addEventListener("TabClose", onTabClose);
-		window.addEventListener(
-			"unload",
-			() => {
-				try {
-					window.removeEventListener(
-						"TabBrowserInserted",
-						onTabBrowserInserted,
-					);
-				} catch (e) {}
-				try {
-					window.removeEventListener("TabClose", onTabClose);
-				} catch (e) {}
-				// On a full quit the next launch wipe handles it; don't race shutdown.
-				if (Services.startup.shuttingDown) return;
-				// Closing a single window does NOT fire per-tab TabClose, so wipe
-				// here if no ephemeral tabs remain in the OTHER windows.
-				try {
-					const u = ephemeralUcid();
-					if (!enabled() || u == null) return;
-					let hadOurs = false;
-					for (const tab of gBrowser.tabs) {
-						if (tabUcid(tab) === u) {
-							hadOurs = true;
-							break;
-						}
-					}
-					if (
-						hadOurs &&
-						ephemeralTabsOpen(u, "window-close", window) === 0
-					)
-						wipeSiteData(u, "last-ephemeral-window-closed");
-				} catch (e) {}
-			},
-			{ once: true },
-		);
+		ctx.listen(window, "TabBrowserInserted", onTabBrowserInserted);
+		ctx.listen(window, "TabClose", onTabClose);
+		ctx.on("ephemeral:apply", () => applyToWindow("applyNow"));
+		ctx.hotkey({
+			id: "wipe-ephemeral",
+			label: "Wipe the ephemeral container now",
+			run: wipeNow,
+		});
 
 		if (ucid != null && !shared.launchWiped) {
 			// Mark the launch wipe done only once it actually starts successfully,
@@ -301,14 +283,8 @@
 			if (wipeSiteData(ucid, "launch")) shared.launchWiped = true;
 		}
 
-		// Suppress on tabs already open in this window. Pending (lazy) tabs are
-		// skipped; onTabBrowserInserted catches them when their browser is created.
-		if (ucid != null) {
-			for (const tab of gBrowser.tabs) {
-				if (tab.hasAttribute("pending")) continue;
-				maybeSuppress(tab, "init");
-			}
-		}
+		// Suppress on tabs already open in this window.
+		if (ucid != null) applyToWindow("init");
 
 		const api = {
 			wipeNow,
@@ -322,28 +298,23 @@
 				dryRun: dryRun(),
 				openEphemeralTabs: ephemeralTabsOpen(ephemeralUcid(), "status"),
 			}),
-			events: () => shared.events,
-			clearEvents: () => {
-				shared.events.length = 0;
-			},
+			events: () => window.Nug.log.entries({ feature: "ephemeral" }),
+			clearEvents: () => window.Nug.log.clear("ephemeral"),
 		};
 		shared.api = api;
 		window.nugEphemeral = api;
 		log("init complete");
 	}
 
-	if (gBrowserInit.delayedStartupFinished) {
-		init();
-	} else {
-		const listener = (subject, topic) => {
-			if (
-				topic === "browser-delayed-startup-finished" &&
-				subject === window
-			) {
-				Services.obs.removeObserver(listener, topic);
-				init();
-			}
-		};
-		Services.obs.addObserver(listener, "browser-delayed-startup-finished");
-	}
+	// Turning the pref off only stops new work: suppression already applied to
+	// open tabs stays until they close, and nothing is wiped.
+	window.Nug.registerFeature({
+		id: "ephemeral",
+		enablePref: "nug.ephemeral.enabled",
+		setup: init,
+		teardown(ctx, reason) {
+			if (reason === "unload") onWindowClose();
+			else log("disabled");
+		},
+	});
 })();
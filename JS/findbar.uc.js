@@ -11,16 +11,18 @@
 // has since diverged; treat this copy as the source of truth, not a tracked mirror.
 
 (() => {
+	const REGEX_PREF = "nug.findbar.regex";
+	const FIND_ACTOR = "NugFind";
+	const ALL_WINDOWS_PREF = "nug.findbar.alltabs.windows";
+	// snippets listed per tab in the all-tabs results
+	const SNIPPETS_PER_TAB = 3;
+	// typing waits this long for a pause before searching the page, so a
+	// pattern isn't run over the whole page for every keystroke.
+	const REGEX_FIND_DELAY_MS = 100;
+
 	class FindbarMods {
 		get forceMiniFindbar() {
-			try {
-				return Services.prefs.getBoolPref(
-					"nug.findbar.compact.indicator",
-					true,
-				);
-			} catch (e) {
-				return true;
-			}
+			return window.Nug.prefs.get("nug.findbar.compact.indicator");
 		}
 
 		// firefox has no localization strings for these phrases, since they can only
@@ -58,6 +60,20 @@
 				label: "Smart Matching",
 				accesskey: "S",
 			},
+			// regex mode toggle, in the findbar and its context menu
+			regex: {
+				label: "Regular Expression",
+				accesskey: "R",
+			},
+			// search all tabs, from the findbar button or context menu. the
+			// summary fills in {matches} and {tabs}.
+			allTabs: {
+				label: "Find in All Tabs",
+				accesskey: "T",
+				searching: "Searching tabs…",
+				empty: "No matches in open tabs",
+				summary: "{matches} matches in {tabs} tabs",
+			},
 		};
 		/**
 		 * create a DOM node with given parameters
@@ -91,11 +107,53 @@
 					?.QueryInterface(Ci.nsIFileURL)?.file;
 				return file?.exists() && file?.isDirectory();
 			});
+			this.registerActor();
 			this.buildContextMenu();
 			// callback to execute for every new findbar created
 			// (each loaded tab has its own findbar)
 			gBrowser.tabContainer.addEventListener("TabFindInitialized", this);
 			addEventListener("findbaropen", this);
+			// when re-enabled at runtime, the open tabs' findbars already exist
+			// and won't fire TabFindInitialized again.
+			for (let tab of gBrowser.tabs) {
+				if (gBrowser.isFindBarInitialized(tab)) {
+					this.attach(gBrowser.getCachedFindBar(tab));
+				}
+			}
+		}
+		// undo everything the constructor and attach() did, so the feature can
+		// be switched off without a restart.
+		destroy() {
+			this.destroyed = true;
+			gBrowser.tabContainer.removeEventListener(
+				"TabFindInitialized",
+				this,
+			);
+			removeEventListener("findbaropen", this);
+			if (this.nativeMethods) {
+				let findbarClass = customElements.get("findbar").prototype;
+				Object.assign(findbarClass, this.nativeMethods);
+				delete findbarClass.ucFindbarMods;
+			}
+			for (let tab of gBrowser.tabs) {
+				if (gBrowser.isFindBarInitialized(tab)) {
+					this.detach(gBrowser.getCachedFindBar(tab));
+				}
+			}
+			this.contextMenu?.remove();
+			this.allTabsPanel?.remove();
+		}
+		// the content half of regex mode, shared by every window.
+		registerActor() {
+			try {
+				window.Nug.registerActor(FIND_ACTOR, {
+					parent: "JS/actors/NugFindParent.sys.mjs",
+					child: "JS/actors/NugFindChild.sys.mjs",
+					messageManagerGroups: ["browsers"],
+				});
+			} catch (e) {
+				window.Nug.log.error("findbar", "actor registration failed", e);
+			}
 		}
 		handleEvent(e) {
 			switch (e.type) {
@@ -114,6 +172,10 @@
 				case "command":
 					this.onCommand(e);
 					break;
+				case "click":
+				case "keydown":
+					this.onAllTabsActivate(e);
+					break;
 			}
 		}
 		// we want to use firefox's built-in localized strings wherever possible
@@ -148,6 +210,7 @@
 			// before firefox's own findbar code does.
 			MozXULElement.insertFTLIfNeeded("toolkit/main-window/findbar.ftl");
 			this.fluentStrings = await this.buildStrings();
+			if (this.destroyed) return;
 			this.contextMenu = document
 				.getElementById("mainPopupSet")
 				.appendChild(
@@ -177,6 +240,15 @@
 				}),
 			);
 
+			this.contextMenu._menuitemRegex = this.contextMenu.appendChild(
+				this.create(document, "menuitem", {
+					id: "findbar-menu-regex",
+					type: "checkbox",
+					label: l10n.regex.label,
+					accesskey: l10n.regex.accesskey,
+				}),
+			);
+
 			this.contextMenu._menuMatchCase = this.contextMenu.appendChild(
 				this.create(document, "menu", {
 					id: "findbar-menu-match-case",
@@ -266,10 +338,26 @@
 						"data-index": 2,
 					}),
 				);
+
+			this.contextMenu.appendChild(
+				document.createXULElement("menuseparator"),
+			);
+			this.contextMenu._menuitemAllTabs = this.contextMenu.appendChild(
+				this.create(document, "menuitem", {
+					id: "findbar-menu-all-tabs",
+					label: l10n.allTabs.label,
+					accesskey: l10n.allTabs.accesskey,
+				}),
+			);
 		}
 		modClassMethods() {
 			let findbarClass = customElements.get("findbar").prototype;
 			findbarClass.ucFindbarMods = this;
+			this.nativeMethods = {
+				...this.nativeMethods,
+				_updateFindUI: findbarClass._updateFindUI,
+				onMatchesCountResult: findbarClass.onMatchesCountResult,
+			};
 			// override the native method that sets some findbar UI properties,
 			// e.g. switching between normal and find-as-you-type mode.
 			findbarClass._updateFindUI = function () {
@@ -339,6 +427,448 @@
 				document.l10n.setAttributes(this._foundMatches, l10nId, result);
 			};
 		}
+		// in regex mode the NugFind actor does the finding instead of the
+		// native finder. typeahead find ("/" and "'") stays plain text.
+		modFindMethods() {
+			let findbarClass = customElements.get("findbar").prototype;
+			let mods = this;
+			findbarClass.ucFindbarMods = this;
+			let native = (this.nativeMethods = {
+				...this.nativeMethods,
+				_find: findbarClass._find,
+				onFindAgainCommand: findbarClass.onFindAgainCommand,
+				toggleHighlight: findbarClass.toggleHighlight,
+				_updateMatchesCount: findbarClass._updateMatchesCount,
+				close: findbarClass.close,
+			});
+			findbarClass._find = function (value) {
+				if (!mods.usesRegex(this))
+					return native._find.call(this, value);
+				mods.scheduleRegexFind(this);
+			};
+			findbarClass.onFindAgainCommand = function (findPrevious) {
+				if (!mods.usesRegex(this)) {
+					return native.onFindAgainCommand.call(this, findPrevious);
+				}
+				return mods.regexFind(this, { findPrevious, again: true });
+			};
+			findbarClass.toggleHighlight = function (
+				highlight,
+				fromPrefObserver,
+			) {
+				if (!mods.usesRegex(this)) {
+					return native.toggleHighlight.call(
+						this,
+						highlight,
+						fromPrefObserver,
+					);
+				}
+				if (highlight === this._highlightAll) return;
+				this._setHighlightAll(highlight, fromPrefObserver);
+				mods.regexFind(this);
+			};
+			// the native count would be for the pattern as plain text.
+			findbarClass._updateMatchesCount = function (...args) {
+				if (!mods.usesRegex(this)) {
+					return native._updateMatchesCount.call(this, ...args);
+				}
+			};
+			findbarClass.close = function (...args) {
+				if (mods.usesRegex(this)) mods.clearRegex(this);
+				return native.close.call(this, ...args);
+			};
+		}
+		usesRegex(findbar) {
+			return (
+				window.Nug.prefs.get(REGEX_PREF) &&
+				findbar.findMode == findbar.FIND_NORMAL
+			);
+		}
+		findActor(browser) {
+			try {
+				return browser?.browsingContext?.currentWindowGlobal?.getActor(
+					FIND_ACTOR,
+				);
+			} catch (e) {
+				// not available for this page, e.g. about: pages in the parent.
+				return null;
+			}
+		}
+		// follow the findbar's case sensitivity. auto (2) matches case once the
+		// pattern has a capital letter that isn't part of an escape like \S.
+		regexFlags(findbar, source) {
+			let caseSensitive = findbar._typeAheadCaseSensitive;
+			if (caseSensitive == 2) {
+				caseSensitive = /[A-Z]/.test(source.replace(/\\./g, ""));
+			}
+			return caseSensitive ? "g" : "gi";
+		}
+		// the find field as a pattern for the NugFind actor: as typed in regex
+		// mode, escaped to match literally otherwise. a literal pattern also
+		// follows whole words and diacritics matching the way the native finder
+		// does; in regex mode the pattern says what it means.
+		findPattern(findbar, regex = this.usesRegex(findbar)) {
+			let text = findbar._findField.value;
+			if (regex) {
+				return {
+					source: text,
+					flags: this.regexFlags(findbar, text),
+					matchDiacritics: true,
+				};
+			}
+			let source = text.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+			let flags = this.regexFlags(findbar, source);
+			if (findbar._entireWord) {
+				// letters and digits in any script, not just \w's ASCII.
+				source = `(?<![\\p{L}\\p{N}_])${source}(?![\\p{L}\\p{N}_])`;
+				flags += "u";
+			}
+			return {
+				source,
+				flags,
+				matchDiacritics: this.matchesDiacritics(text),
+			};
+		}
+		// findbar.matchdiacritics: 0 ignores accents, 1 matches them, 2 only
+		// once the text has one. the actor folds the page to ignore them.
+		matchesDiacritics(text) {
+			switch (Services.prefs.getIntPref("findbar.matchdiacritics", 0)) {
+				case 1:
+					return true;
+				case 2:
+					return /\p{M}/u.test(text.normalize("NFD"));
+				default:
+					return false;
+			}
+		}
+		scheduleRegexFind(findbar) {
+			clearTimeout(findbar._nugRegexTimer);
+			findbar._nugRegexTimer = setTimeout(
+				() => this.regexFind(findbar),
+				REGEX_FIND_DELAY_MS,
+			);
+		}
+		// literal runs the actor on plain text, for jumping to an all-tabs
+		// result with regex mode off. index picks a match by its place on the
+		// page instead of stepping from the current one. each call supersedes
+		// the scheduled one and any query still in flight.
+		async regexFind(
+			findbar,
+			{
+				findPrevious = false,
+				again = false,
+				index,
+				literal = false,
+			} = {},
+		) {
+			clearTimeout(findbar._nugRegexTimer);
+			let query = (findbar._nugRegexQuery = {});
+			let text = findbar._findField.value;
+			this.showRegexError(findbar, null);
+			if (!text) {
+				this.clearRegex(findbar);
+				findbar.onMatchesCountResult({ current: 0, total: 0 });
+				return;
+			}
+			let { source, flags, matchDiacritics } = this.findPattern(
+				findbar,
+				!literal,
+			);
+			try {
+				new RegExp(source, flags);
+			} catch (e) {
+				// caught here so the error shows without a trip to the page.
+				this.showRegexError(findbar, e.message);
+				return;
+			}
+			let actor = this.findActor(findbar.browser);
+			if (!actor) return;
+			let result;
+			try {
+				result = await actor.sendQuery("NugFind:Regex", {
+					source,
+					flags,
+					findPrevious,
+					again,
+					index,
+					matchDiacritics,
+					highlightAll: !!findbar._highlightAll,
+					limit: Services.prefs.getIntPref(
+						"accessibility.typeaheadfind.matchesCountLimit",
+						1000,
+					),
+				});
+			} catch (e) {
+				window.Nug.log.warn("findbar", "regex find failed", e);
+				return;
+			}
+			// a newer query started, the pattern changed, or regex mode went
+			// off while the page searched.
+			if (
+				findbar._nugRegexQuery !== query ||
+				findbar._findField.value !== text ||
+				(!literal && !this.usesRegex(findbar))
+			)
+				return;
+			if (result.error) {
+				this.showRegexError(findbar, result.error);
+				return;
+			}
+			let { FIND_FOUND, FIND_NOTFOUND, FIND_WRAPPED } =
+				Ci.nsITypeAheadFind;
+			findbar._updateStatusUI(
+				!result.total
+					? FIND_NOTFOUND
+					: result.wrapped
+						? FIND_WRAPPED
+						: FIND_FOUND,
+				findPrevious,
+			);
+			findbar.onMatchesCountResult(result);
+		}
+		// an invalid pattern is reported right under the find field.
+		showRegexError(findbar, message) {
+			let label = findbar._nugRegexError;
+			if (!label) return;
+			label.hidden = !message;
+			label.setAttribute("value", message ?? "");
+			label.setAttribute("tooltiptext", message ?? "");
+			if (!message) return;
+			this.clearRegex(findbar);
+			findbar._findField.setAttribute("status", "notfound");
+			findbar.onMatchesCountResult({ current: 0, total: 0 });
+		}
+		clearRegex(findbar) {
+			clearTimeout(findbar._nugRegexTimer);
+			this.findActor(findbar.browser)?.sendAsyncMessage("NugFind:Clear");
+		}
+		onRegexPrefChange() {
+			let regex = window.Nug.prefs.get(REGEX_PREF);
+			for (let tab of gBrowser.tabs) {
+				if (!gBrowser.isFindBarInitialized(tab)) continue;
+				let findbar = gBrowser.getCachedFindBar(tab);
+				findbar._nugRegexToggle?.setAttribute("checked", regex);
+				if (findbar.hidden) continue;
+				if (this.usesRegex(findbar)) {
+					this.regexFind(findbar);
+				} else {
+					this.showRegexError(findbar, null);
+					this.clearRegex(findbar);
+					if (findbar._findField.value)
+						this.nativeMethods._find.call(findbar);
+				}
+			}
+		}
+		// loaded tabs in this window's workspace, or in every window's with
+		// the pref on. private and normal windows never search each other.
+		searchableTabs() {
+			let windows = [window];
+			if (window.Nug.prefs.get(ALL_WINDOWS_PREF)) {
+				let isPrivate = PrivateBrowsingUtils.isWindowPrivate(window);
+				for (let win of Services.wm.getEnumerator(
+					"navigator:browser",
+				)) {
+					if (
+						win !== window &&
+						!win.closed &&
+						PrivateBrowsingUtils.isWindowPrivate(win) === isPrivate
+					)
+						windows.push(win);
+				}
+			}
+			return windows.flatMap((win) => {
+				let workspace = win.gZenWorkspaces?.activeWorkspace;
+				return win.gBrowser.tabs.filter(
+					(tab) =>
+						!tab.closing &&
+						!tab.hasAttribute("pending") &&
+						(!workspace ||
+							tab.hasAttribute("zen-essential") ||
+							tab.getAttribute("zen-workspace-id") === workspace),
+				);
+			});
+		}
+		// search every tab for the find field's text (or pattern, in regex
+		// mode) and list the tabs that have it in a panel by the findbar.
+		async searchAllTabs(findbar) {
+			let text = findbar._findField.value;
+			if (!text) {
+				findbar._findField.focus();
+				return;
+			}
+			let regex = this.usesRegex(findbar);
+			let { source, flags, matchDiacritics } = this.findPattern(
+				findbar,
+				regex,
+			);
+			try {
+				new RegExp(source, flags);
+			} catch (e) {
+				this.showRegexError(findbar, e.message);
+				return;
+			}
+			let query = (this.allTabsQuery = { text, regex });
+			let panel = this.allTabsPanel ?? this.buildAllTabsPanel();
+			this.renderAllTabs(null);
+			panel.openPopup(findbar, "after_end");
+			let limit = Services.prefs.getIntPref(
+				"accessibility.typeaheadfind.matchesCountLimit",
+				1000,
+			);
+			let results = await Promise.all(
+				this.searchableTabs().map(async (tab) => {
+					let actor = this.findActor(tab.linkedBrowser);
+					if (!actor) return null;
+					try {
+						let result = await actor.sendQuery("NugFind:Search", {
+							source,
+							flags,
+							matchDiacritics,
+							limit,
+							snippets: SNIPPETS_PER_TAB,
+						});
+						return result.total ? { tab, ...result } : null;
+					} catch (e) {
+						// the tab closed or navigated while it was searched.
+						return null;
+					}
+				}),
+			);
+			// a newer search replaced this one.
+			if (this.allTabsQuery !== query) return;
+			this.renderAllTabs(results.filter(Boolean));
+		}
+		buildAllTabsPanel() {
+			let panel = (this.allTabsPanel = document
+				.getElementById("mainPopupSet")
+				.appendChild(
+					this.create(document, "panel", {
+						id: "nug-find-all-panel",
+						type: "arrow",
+						orient: "vertical",
+						role: "dialog",
+					}),
+				));
+			panel._header = panel.appendChild(
+				this.create(document, "label", {
+					class: "nug-find-all-header",
+				}),
+			);
+			panel._list = panel.appendChild(
+				this.create(document, "vbox", {
+					class: "nug-find-all-list",
+				}),
+			);
+			panel.addEventListener("click", this);
+			panel.addEventListener("keydown", this);
+			panel.addEventListener("popuphidden", () => {
+				this.allTabsQuery = null;
+			});
+			return panel;
+		}
+		// null while the tabs are being searched.
+		renderAllTabs(results) {
+			let { allTabs } = FindbarMods.l10n;
+			let { _header: header, _list: list } = this.allTabsPanel;
+			list.replaceChildren();
+			if (!results) {
+				header.setAttribute("value", allTabs.searching);
+				return;
+			}
+			if (!results.length) {
+				header.setAttribute("value", allTabs.empty);
+				return;
+			}
+			let total = 0;
+			let overLimit = false;
+			for (let result of results) {
+				overLimit ||= result.total < 0;
+				total += result.total < 0 ? result.limit : result.total;
+			}
+			header.setAttribute(
+				"value",
+				allTabs.summary
+					.replace("{matches}", overLimit ? `${total}+` : total)
+					.replace("{tabs}", results.length),
+			);
+			for (let result of results) {
+				list.appendChild(this.createAllTabsEntry(result));
+			}
+		}
+		// a tab's title and match count, then a snippet per match. choosing
+		// the title goes to the first match, a snippet to its own.
+		createAllTabsEntry({ tab, total, limit, matches }) {
+			let entry = this.create(document, "vbox", {
+				class: "nug-find-all-tab",
+			});
+			let title = entry.appendChild(
+				this.create(document, "hbox", {
+					class: "nug-find-all-title",
+					align: "center",
+					tabindex: 0,
+				}),
+			);
+			title._nugResult = { tab, index: 0 };
+			title.appendChild(
+				this.create(document, "image", {
+					class: "nug-find-all-icon",
+					src: tab.getAttribute("image") ?? "",
+				}),
+			);
+			title.appendChild(
+				this.create(document, "label", {
+					class: "nug-find-all-label",
+					value: tab.label ?? "",
+					crop: "end",
+					flex: 1,
+				}),
+			);
+			title.appendChild(
+				this.create(document, "label", {
+					class: "nug-find-all-count",
+					value: total < 0 ? `${limit}+` : total,
+				}),
+			);
+			for (let match of matches) {
+				let snippet = entry.appendChild(
+					this.create(
+						document,
+						"div",
+						{ class: "nug-find-all-snippet", tabindex: 0 },
+						true,
+					),
+				);
+				snippet._nugResult = { tab, index: match.index };
+				let mark = this.create(document, "mark", {}, true);
+				mark.textContent = match.match;
+				snippet.append(match.before, mark, match.after);
+			}
+			return entry;
+		}
+		onAllTabsActivate(e) {
+			if (e.type == "click" ? e.button != 0 : e.key != "Enter") return;
+			let target = e.target.closest?.(
+				".nug-find-all-title, .nug-find-all-snippet",
+			);
+			if (!target?._nugResult) return;
+			e.preventDefault();
+			this.openAllTabsResult(target._nugResult);
+		}
+		// switch to the tab and open its findbar on the chosen match, through
+		// that window's mods so its indicator shows where the match falls.
+		async openAllTabsResult({ tab, index }) {
+			let { text, regex } = this.allTabsQuery ?? {};
+			this.allTabsPanel.hidePopup();
+			if (text == null || tab.closing || !tab.isConnected) return;
+			let win = tab.ownerGlobal;
+			win.gBrowser.selectedTab = tab;
+			if (win !== window) win.focus();
+			let findbar = await win.gBrowser.getFindBar(tab);
+			findbar.open(findbar.FIND_NORMAL);
+			findbar._findField.value = text;
+			let mods = findbar.ucFindbarMods ?? this;
+			await mods.regexFind(findbar, { index, literal: !regex });
+		}
 		onCommand(e) {
 			let { target } = e;
 			let node = this.contextMenu.triggerNode;
@@ -363,6 +893,21 @@
 					);
 					break;
 				}
+				case this.contextMenu._menuitemAllTabs: {
+					if (!node) return;
+					let findbar =
+						node.tagName === "findbar"
+							? node
+							: node.closest("findbar");
+					if (findbar) this.searchAllTabs(findbar);
+					break;
+				}
+				case this.contextMenu._menuitemRegex:
+					window.Nug.prefs.set(
+						REGEX_PREF,
+						!window.Nug.prefs.get(REGEX_PREF),
+					);
+					break;
 				case this.contextMenu._menuitemCaseInsensitive:
 				case this.contextMenu._menuitemCaseSensitive:
 				case this.contextMenu._menuitemCaseAuto: {
@@ -401,6 +946,10 @@
 				"checked",
 				!!findbar._entireWord,
 			);
+			this.contextMenu._menuitemRegex.setAttribute(
+				"checked",
+				window.Nug.prefs.get(REGEX_PREF),
+			);
 			if (findbar._quickFindTimeout) {
 				clearTimeout(findbar._quickFindTimeout);
 				findbar._quickFindTimeout = null;
@@ -442,6 +991,8 @@
 		}
 		domSetup(findbar) {
 			findbar.setAttribute("context", "findbar-context-menu");
+			this.addRegexControls(findbar);
+			this.addAllTabsButton(findbar);
 			if (this.isMini) {
 				findbar.setAttribute("compact-indicator", "true");
 				this.miniaturize(findbar);
@@ -449,6 +1000,54 @@
 				findbar.removeAttribute("compact-indicator");
 			}
 		}
+		// the regex toggle sits with the other find options; the error label
+		// under the find field only shows for an invalid pattern.
+		addRegexControls(findbar) {
+			if (findbar._nugRegexToggle) return;
+			let { l10n } = FindbarMods;
+			let container = findbar.querySelector(".findbar-container");
+			let toggle = this.create(document, "checkbox", {
+				anonid: "nug-find-regex",
+				class: "findbar-nug-regex",
+				label: l10n.regex.label,
+				accesskey: l10n.regex.accesskey,
+				tooltiptext: l10n.regex.label,
+				checked: window.Nug.prefs.get(REGEX_PREF),
+			});
+			toggle.addEventListener("command", () =>
+				window.Nug.prefs.set(
+					REGEX_PREF,
+					!window.Nug.prefs.get(REGEX_PREF),
+				),
+			);
+			let entireWord = findbar.getElement("find-entire-word");
+			if (entireWord) entireWord.after(toggle);
+			else container.appendChild(toggle);
+			findbar._nugRegexToggle = toggle;
+
+			let error = this.create(document, "label", {
+				anonid: "nug-regex-error",
+				class: "findbar-nug-regex-error",
+				hidden: true,
+			});
+			container.appendChild(error);
+			findbar._nugRegexError = error;
+		}
+		addAllTabsButton(findbar) {
+			if (findbar._nugAllTabsButton) return;
+			let { allTabs } = FindbarMods.l10n;
+			let button = this.create(document, "toolbarbutton", {
+				anonid: "nug-find-all-tabs",
+				class: "findbar-nug-all-tabs",
+				tooltiptext: allTabs.label,
+				"aria-label": allTabs.label,
+			});
+			button.addEventListener("command", () =>
+				this.searchAllTabs(findbar),
+			);
+			findbar.querySelector(".findbar-container").appendChild(button);
+			findbar._nugAllTabsButton = button;
+		}
 		miniaturize(findbar) {
 			// 1/N instead of 1 of N matches.
 			findbar._tinyIndicator = this.create(document, "label", {
@@ -470,11 +1069,14 @@
 		}
 		onTabFindInitialized(e) {
 			if (e.target.ownerGlobal !== window) return;
+			this.attach(e.target._findBar);
+		}
+		attach(findbar) {
 			if (!this.initialized) {
 				this.initialized = true;
+				this.modFindMethods();
 				if (this.isMini) this.modClassMethods();
 			}
-			let findbar = e.target._findBar;
 
 			function exitFindBar(e) {
 				if (e.repeat || e.shiftKey || e.altKey) return;
@@ -503,11 +1105,36 @@
 				}
 			}
 
+			window.Nug.log.debug("findbar", "attach", { mini: this.isMini });
 			this.domSetup(findbar);
 			// set up hotkey ctrl+F to close findbar when it's already open
-			if (!findbar._nugExitFindBarAttached) {
+			if (!findbar._nugExitFindBar) {
 				findbar.addEventListener("keypress", exitFindBar, true);
-				findbar._nugExitFindBarAttached = true;
+				findbar._nugExitFindBar = exitFindBar;
+			}
+		}
+		detach(findbar) {
+			findbar.removeAttribute("context");
+			findbar.removeAttribute("compact-indicator");
+			findbar._tinyIndicator?.remove();
+			delete findbar._tinyIndicator;
+			if (this.usesRegex(findbar)) this.clearRegex(findbar);
+			clearTimeout(findbar._nugRegexTimer);
+			delete findbar._nugRegexTimer;
+			delete findbar._nugRegexQuery;
+			findbar._nugRegexToggle?.remove();
+			findbar._nugRegexError?.remove();
+			delete findbar._nugRegexToggle;
+			delete findbar._nugRegexError;
+			findbar._nugAllTabsButton?.remove();
+			delete findbar._nugAllTabsButton;
+			if (findbar._nugExitFindBar) {
+				findbar.removeEventListener(
+					"keypress",
+					findbar._nugExitFindBar,
+					true,
+				);
+				delete findbar._nugExitFindBar;
 			}
 		}
 		onFindbarOpen(e) {
@@ -517,22 +1144,31 @@
 		}
 	}
 
-	// check that startup has finished and gBrowser is initialized before we add an event listener
-	if (gBrowserInit.delayedStartupFinished) {
-		new FindbarMods();
-	} else {
-		let delayedListener = (subject, topic) => {
-			if (
-				topic == "browser-delayed-startup-finished" &&
-				subject == window
-			) {
-				Services.obs.removeObserver(delayedListener, topic);
-				new FindbarMods();
-			}
-		};
-		Services.obs.addObserver(
-			delayedListener,
-			"browser-delayed-startup-finished",
-		);
-	}
+	// the position is pure CSS (Findbar.css), so this works with the mods off.
+	// Custom is skipped: it needs its offsets filled in before it's useful.
+	const FINDBAR_CUSTOM_POSITION = 6;
+	window.Nug.hotkeys.register({
+		id: "cycle-findbar-position",
+		label: "Cycle findbar position",
+		run() {
+			let { prefs } = window.Nug;
+			let position = prefs.get("nug.findbar.position");
+			prefs.set(
+				"nug.findbar.position",
+				(position + 1) % FINDBAR_CUSTOM_POSITION,
+			);
+		},
+	});
+
+	// registerFeature waits for delayed startup, so gBrowser is initialized by
+	// the time we add our event listeners.
+	window.Nug.registerFeature({
+		id: "findbar",
+		enablePref: "nug.findbar.mods.enabled",
+		setup(ctx) {
+			let mods = new FindbarMods();
+			ctx.add(() => mods.destroy());
+			ctx.subscribe(REGEX_PREF, () => mods.onRegexPrefChange());
+		},
+	});
 })();
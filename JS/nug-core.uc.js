@@ -4,6 +4,16 @@
 // @include        *browser.xhtml
 // ==/UserScript==
 
+// SHORTCUTS (mod settings, or about:config; all unbound by default)
+//   nug.keys.export-settings  - save every Nug setting to a JSON file
+//   nug.keys.import-settings  - load one back, after previewing the changes
+//   nug.keys.reset-settings   - put every Nug setting back to its default
+//   nug.keys.export-log       - save the event log to a file for a bug report
+//
+// CONSOLE:
+//   Nug.settings.export() / .import() / .reset()  -> the same, from a script
+//   Nug.log.export()
+
 // Sine loads every .uc.js into the same chrome window global, so these helpers
 // live on `window.Nug` and the feature scripts read them from there. The `??=`
 // guard keeps re-injection (new window, cache bust) idempotent.
@@ -32,8 +42,199 @@
 		Services.obs.addObserver(listener, "browser-delayed-startup-finished");
 	};
 
-	// Pref reads that fall back to the default instead of throwing.
+	// Process-wide state shared by every window's copy of the core. Lives on
+	// Services for the same reason as Services.__nugEphemeral: each window
+	// evaluates this file separately, but the pref schema only needs loading once.
+	const shared = (Services.__nug ??= {
+		schema: null,
+		warned: new Set(),
+		log: [],
+		bus: new Map(),
+		actors: new Set(),
+	});
+
+	const winId = (() => {
+		try {
+			return window.docShell.outerWindowID;
+		} catch (e) {
+			return "?";
+		}
+	})();
+
+	// This script's own URL, minus Sine's cache-busting query. preferences.json
+	// sits one directory up, so resolving against it finds the schema wherever
+	// the mod is installed.
+	const SCRIPT_URL = Components.stack.filename
+		.split(" -> ")
+		.pop()
+		.replace(/[?#].*$/, "");
+
+	const HEX_COLOR_RE =
+		/^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+	function warnOnce(key, message) {
+		if (shared.warned.has(key)) return;
+		shared.warned.add(key);
+		console.warn(`[nug-prefs] ${message}`);
+	}
+
+	// bool / int / string, derived from the Sine pref entry.
+	function prefType(def) {
+		if (def.type === "checkbox") return "bool";
+		if (def.type === "dropdown")
+			return def.value === "number" ? "int" : "string";
+		return typeof def.defaultValue === "number" ? "int" : "string";
+	}
+
+	// Sync read on purpose: callers want typed values during script evaluation,
+	// and the file is small. Only the first window pays for it.
+	function loadSchema() {
+		const schema = new Map();
+		try {
+			const uri = Services.io.newURI(
+				"../preferences.json",
+				null,
+				Services.io.newURI(SCRIPT_URL),
+			);
+			for (const def of JSON.parse(Cu.readUTF8URI(uri))) {
+				if (def.property)
+					schema.set(def.property, { ...def, declared: true });
+			}
+		} catch (e) {
+			console.error("[nug-prefs] couldn't load preferences.json:", e);
+		}
+		return schema;
+	}
+	shared.schema ??= loadSchema();
+
+	// Returns why value isn't acceptable for def, or null if it is. The default
+	// is always accepted so an empty "custom color" string doesn't warn.
+	function checkValue(def, value) {
+		const type = prefType(def);
+		if (type === "bool" && typeof value !== "boolean")
+			return `expected a boolean, got ${JSON.stringify(value)}`;
+		if (type === "int" && !Number.isInteger(value))
+			return `expected an integer, got ${JSON.stringify(value)}`;
+		if (type === "string" && typeof value !== "string")
+			return `expected a string, got ${JSON.stringify(value)}`;
+		if (value === def.defaultValue) return null;
+		if (def.options && !def.options.some((o) => o.value === value))
+			return `${JSON.stringify(value)} is not one of ${def.options.map((o) => o.value).join(", ")}`;
+		if (def.min != null && value < def.min)
+			return `${value} is below the minimum of ${def.min}`;
+		if (def.max != null && value > def.max)
+			return `${value} is above the maximum of ${def.max}`;
+		if (def.pattern && !def.pattern.test(value))
+			return `${JSON.stringify(value)} doesn't match ${def.pattern}`;
+		if (def.validate && !def.validate(value))
+			return `${JSON.stringify(value)} was rejected by its validator`;
+		return null;
+	}
+
+	function readRaw(name, type) {
+		if (type === "bool") return Services.prefs.getBoolPref(name);
+		if (type === "int") return Services.prefs.getIntPref(name);
+		return Services.prefs.getStringPref(name);
+	}
+
+	// Pref access. get/set are typed and validated against the schema from
+	// preferences.json; getBool/getInt/getString take an explicit default and
+	// never throw, for prefs the theme doesn't own.
 	Nug.prefs = {
+		// Merge extra definitions into the schema, keyed by `property`. Use it to
+		// add constraints preferences.json can't express (pattern, min/max,
+		// validate) or to declare prefs that have no settings UI.
+		define(defs) {
+			for (const def of Array.isArray(defs) ? defs : [defs]) {
+				const existing = shared.schema.get(def.property);
+				if (existing) Object.assign(existing, def);
+				else shared.schema.set(def.property, { ...def });
+			}
+		},
+		definition(name) {
+			return shared.schema.get(name) ?? null;
+		},
+		// Every known pref, or with { declared: true } only those that come from
+		// preferences.json (i.e. the ones with a settings UI).
+		names({ declared = false } = {}) {
+			return [...shared.schema.values()]
+				.filter((def) => !declared || def.declared)
+				.map((def) => def.property);
+		},
+		// Typed read through the schema. Unset prefs give the declared default;
+		// unknown prefs, wrong types and out-of-range values warn once and give
+		// the default (or undefined when there is no definition at all).
+		get(name) {
+			const def = shared.schema.get(name);
+			if (!def) {
+				warnOnce(name, `"${name}" isn't declared in preferences.json`);
+				return undefined;
+			}
+			const type = prefType(def);
+			if (
+				Services.prefs.getPrefType(name) === Services.prefs.PREF_INVALID
+			)
+				return def.defaultValue;
+			let value;
+			try {
+				value = readRaw(name, type);
+			} catch (e) {
+				warnOnce(`${name}:type`, `"${name}" isn't a ${type} pref`);
+				return def.defaultValue;
+			}
+			const problem = checkValue(def, value);
+			if (problem) {
+				warnOnce(`${name}:${value}`, `"${name}": ${problem}`);
+				return def.defaultValue;
+			}
+			return value;
+		},
+		// Typed write; throws on a value the schema would reject.
+		set(name, value) {
+			const def = shared.schema.get(name);
+			if (!def)
+				throw new Error(`"${name}" isn't declared in preferences.json`);
+			const problem = checkValue(def, value);
+			if (problem) throw new TypeError(`"${name}": ${problem}`);
+			const type = prefType(def);
+			if (type === "bool") Services.prefs.setBoolPref(name, value);
+			else if (type === "int") Services.prefs.setIntPref(name, value);
+			else Services.prefs.setStringPref(name, value);
+		},
+		// null when value is fine, otherwise a description of the problem.
+		validate(name, value) {
+			const def = shared.schema.get(name);
+			if (!def) return `"${name}" isn't declared in preferences.json`;
+			return checkValue(def, value);
+		},
+		// Whether the pref's Sine "conditions" currently hold, i.e. whether its
+		// setting is shown. Prefs without conditions are always active.
+		isActive(name) {
+			const def = shared.schema.get(name);
+			if (!def?.conditions?.length) return true;
+			const test = (c) =>
+				c.if
+					? Nug.prefs.get(c.if.property) === c.if.value
+					: Nug.prefs.get(c.not.property) !== c.not.value;
+			return def.operator === "OR"
+				? def.conditions.some(test)
+				: def.conditions.every(test);
+		},
+		// Warn about every user-set nug pref that's unknown (usually a typo) or
+		// holds a value get() would reject. Runs once per process at startup.
+		audit() {
+			for (const name of Services.prefs.getChildList("nug")) {
+				if (!Services.prefs.prefHasUserValue(name)) continue;
+				if (!shared.schema.has(name)) {
+					warnOnce(
+						name,
+						`"${name}" is set but isn't declared in preferences.json`,
+					);
+					continue;
+				}
+				Nug.prefs.get(name);
+			}
+		},
 		getBool(name, def = false) {
 			try {
 				return Services.prefs.getBoolPref(name, def);
@@ -55,13 +256,26 @@
 				return def;
 			}
 		},
-		// Observe one or more prefs; onChange gets the changed pref name. Returns
-		// an unsubscribe fn — wire it to window unload.
+		// Observe one or more prefs; onChange gets the changed pref name. Pref
+		// observers match by prefix, so only a name ending in "." watches a whole
+		// branch; "nug.foo" alone won't fire for "nug.foo.debug". Returns an
+		// unsubscribe fn — wire it to window unload.
 		subscribe(names, onChange) {
 			const list = Array.isArray(names) ? names : [names];
-			const observer = { observe: (_s, _t, data) => onChange(data) };
+			const matches = (name) =>
+				list.some(
+					(n) =>
+						n === name || (n.endsWith(".") && name.startsWith(n)),
+				);
+			let active = true;
+			const observer = {
+				observe: (_s, _t, data) => {
+					if (active && matches(data)) onChange(data);
+				},
+			};
 			for (const name of list) Services.prefs.addObserver(name, observer);
 			return () => {
+				active = false;
 				for (const name of list) {
 					try {
 						Services.prefs.removeObserver(name, observer);
@@ -71,19 +285,1024 @@
 		},
 	};
 
-	// Append a <style> to the chrome document once, keyed by id. Returns the node.
-	Nug.injectStyle = function (id, css) {
-		const existing = document.getElementById(id);
-		if (existing) return existing;
-		const style = document.createElement("style");
-		style.id = id;
-		style.textContent = css;
-		document.head.appendChild(style);
-		return style;
+	// Hex color strings for the "custom color" prefs.
+	Nug.prefs.define(
+		["nug-accent-custom", "nug-icon-custom", "nug-folder-custom"].map(
+			(property) => ({ property, pattern: HEX_COLOR_RE }),
+		),
+	);
+
+	// Once the other scripts have had their chance to define() prefs.
+	if (!shared.audited) {
+		shared.audited = true;
+		Nug.whenReady(() => Nug.prefs.audit());
+	}
+
+	// Structured logging. Entries go into one process-wide ring buffer so a trace
+	// covers every window. debug entries are only kept, and debug/info only
+	// printed, while nug.<feature>.debug is on; warn and error always are.
+	const LOG_LEVELS = ["debug", "info", "warn", "error"];
+	const LOG_LIMIT = 500;
+
+	// Log data can carry DOM nodes, errors and the odd cycle; flatten those so
+	// neither recording nor the export ever throws halfway through.
+	function jsonReplacer() {
+		const seen = new WeakSet();
+		return (_key, value) => {
+			if (value instanceof Error)
+				return `${value.name}: ${value.message}`;
+			if (typeof value !== "object" || value === null) return value;
+			if (Element.isInstance(value))
+				return `<${value.localName}${value.id ? "#" + value.id : ""}>`;
+			if (seen.has(value)) return "[circular]";
+			seen.add(value);
+			return value;
+		};
+	}
+
+	// The buffer outlives the window that logged an entry, so it keeps a plain
+	// copy of the data: a node or error held there would keep its window alive.
+	function flatten(data) {
+		if (data === undefined) return undefined;
+		try {
+			return JSON.parse(JSON.stringify(data, jsonReplacer()));
+		} catch (e) {
+			return String(data);
+		}
+	}
+
+	function record(level, feature, event, data) {
+		const debug = Nug.prefs.getBool(`nug.${feature}.debug`, false);
+		if (level === "debug" && !debug) return;
+		const entry = {
+			t: new Date().toISOString().slice(11, 23),
+			level,
+			feature,
+			win: winId,
+			event,
+			data: flatten(data),
+		};
+		shared.log.push(entry);
+		if (shared.log.length > LOG_LIMIT) shared.log.shift();
+		if (!debug && (level === "debug" || level === "info")) return;
+		try {
+			const print =
+				level === "error"
+					? console.error
+					: level === "warn"
+						? console.warn
+						: console.log;
+			print(
+				`%c[nug-${feature}]%c ${entry.t} win:${winId} ${event}`,
+				"color:#cba6f7;font-weight:bold",
+				"color:inherit",
+				data ?? "",
+			);
+		} catch (e) {}
+	}
+
+	// Nug.log(feature, event, data) logs at info; Nug.log.debug/.warn/.error
+	// pick the level explicitly.
+	Nug.log = (feature, event, data) => record("info", feature, event, data);
+	for (const level of LOG_LEVELS) {
+		Nug.log[level] = (feature, event, data) =>
+			record(level, feature, event, data);
+	}
+	// Buffered entries, optionally narrowed to one feature and a minimum level.
+	Nug.log.entries = function ({ feature, level = "debug" } = {}) {
+		const min = LOG_LEVELS.indexOf(level);
+		return shared.log.filter(
+			(e) =>
+				(!feature || e.feature === feature) &&
+				LOG_LEVELS.indexOf(e.level) >= min,
+		);
+	};
+	Nug.log.clear = function (feature) {
+		if (!feature) {
+			shared.log.length = 0;
+			return;
+		}
+		const kept = shared.log.filter((e) => e.feature !== feature);
+		shared.log.splice(0, shared.log.length, ...kept);
 	};
 
-	// True when the OS asks for reduced motion and the per-feature opt-out pref
-	// isn't set.
+	// Ask for a file with the native picker. Resolves to the nsIFile, or null
+	// when the user cancels.
+	function pickFile(mode, title, defaultName) {
+		const fp = Cc["@mozilla.org/filepicker;1"].createInstance(
+			Ci.nsIFilePicker,
+		);
+		fp.init(window.browsingContext, title, Ci.nsIFilePicker[mode]);
+		fp.appendFilter("JSON", "*.json");
+		if (defaultName) fp.defaultString = defaultName;
+		return new Promise((resolve) =>
+			fp.open((result) =>
+				resolve(
+					result === Ci.nsIFilePicker.returnCancel ? null : fp.file,
+				),
+			),
+		);
+	}
+
+	// Save the buffer, plus the feature status of every window, as JSON for a
+	// bug report. Resolves to the written path, or null if cancelled.
+	Nug.log.export = async function () {
+		const date = new Date().toISOString().slice(0, 10);
+		const file = await pickFile(
+			"modeSave",
+			"Export Nug log",
+			`nug-log-${date}.json`,
+		);
+		if (!file) return null;
+		const report = {
+			exported: new Date().toISOString(),
+			app: `${Services.appinfo.name} ${Services.appinfo.version}`,
+			features: Nug.features.status(),
+			entries: shared.log,
+		};
+		await IOUtils.writeUTF8(
+			file.path,
+			JSON.stringify(report, jsonReplacer(), "\t"),
+		);
+		return file.path;
+	};
+
+	// Process-wide publish/subscribe. Subscribers live in the shared state, so a
+	// publish from any window reaches every window synchronously, the publisher
+	// included. Each window's subscriptions are dropped when it unloads.
+	Nug.bus = {
+		// handler(data, { topic, source }) where source is the publishing
+		// window's outer id. Returns an unsubscribe fn.
+		subscribe(topic, handler) {
+			let subs = shared.bus.get(topic);
+			if (!subs) shared.bus.set(topic, (subs = new Set()));
+			const sub = { win: window, handler };
+			subs.add(sub);
+			return () => {
+				subs.delete(sub);
+				if (!subs.size && shared.bus.get(topic) === subs)
+					shared.bus.delete(topic);
+			};
+		},
+		publish(topic, data) {
+			const subs = shared.bus.get(topic);
+			if (!subs) return;
+			// Copy: a handler may unsubscribe (or subscribe) while we iterate.
+			for (const { handler } of [...subs]) {
+				try {
+					handler(data, { topic, source: winId });
+				} catch (e) {
+					Nug.log.error("bus", `"${topic}" handler failed`, e);
+				}
+			}
+		},
+	};
+
+	window.addEventListener(
+		"unload",
+		() => {
+			for (const [topic, subs] of shared.bus) {
+				for (const sub of subs)
+					if (sub.win === window) subs.delete(sub);
+				if (!subs.size) shared.bus.delete(topic);
+			}
+		},
+		{ once: true },
+	);
+
+	// Settings profiles: every pref declared in preferences.json as one JSON
+	// file, so a setup can be copied between machines. All three actions ask
+	// before changing anything and resolve to what they did (null if cancelled).
+	const PROFILE_FORMAT = 1;
+	const PREVIEW_LINES = 20;
+
+	// Option labels rather than raw indexes: "Accent (nug-accent-color): Mauve".
+	function prefLabel(name) {
+		const label = shared.schema.get(name)?.label;
+		return label ? `${label} (${name})` : name;
+	}
+	function describeValue(name, value) {
+		const option = shared.schema
+			.get(name)
+			?.options?.find((o) => o.value === value);
+		return option ? option.label : JSON.stringify(value);
+	}
+
+	function previewLines(lines) {
+		if (lines.length <= PREVIEW_LINES) return lines.join("\n");
+		return [
+			...lines.slice(0, PREVIEW_LINES),
+			`…and ${lines.length - PREVIEW_LINES} more`,
+		].join("\n");
+	}
+
+	// Write every change or none: on the first failure, put back what was
+	// already written (including "was unset") and rethrow.
+	function applyAtomically(changes) {
+		const before = changes.map(([name]) => [
+			name,
+			Services.prefs.prefHasUserValue(name) ? Nug.prefs.get(name) : null,
+		]);
+		try {
+			for (const [name, value] of changes) {
+				if (value === shared.schema.get(name).defaultValue)
+					Services.prefs.clearUserPref(name);
+				else Nug.prefs.set(name, value);
+			}
+		} catch (e) {
+			for (const [name, value] of before) {
+				try {
+					if (value === null) Services.prefs.clearUserPref(name);
+					else Nug.prefs.set(name, value);
+				} catch (_) {}
+			}
+			throw e;
+		}
+	}
+
+	Nug.settings = {
+		snapshot() {
+			const prefs = {};
+			for (const name of Nug.prefs.names({ declared: true }))
+				prefs[name] = Nug.prefs.get(name);
+			return { format: PROFILE_FORMAT, prefs };
+		},
+		async export() {
+			const file = await pickFile(
+				"modeSave",
+				"Export Nug settings",
+				"nug-settings.json",
+			);
+			if (!file) return null;
+			await IOUtils.writeUTF8(
+				file.path,
+				JSON.stringify(Nug.settings.snapshot(), null, "\t"),
+			);
+			Nug.log("settings", "exported", { path: file.path });
+			return file.path;
+		},
+		// Validate the whole file first; one bad value rejects the import. Prefs
+		// this version doesn't know are skipped and listed in the preview.
+		async import() {
+			const file = await pickFile("modeOpen", "Import Nug settings");
+			if (!file) return null;
+			const title = "Import Nug settings";
+			let profile;
+			try {
+				profile = await IOUtils.readJSON(file.path);
+			} catch (e) {
+				Services.prompt.alert(
+					window,
+					title,
+					`Couldn't read ${file.path}:\n${e}`,
+				);
+				return null;
+			}
+			if (
+				profile?.format !== PROFILE_FORMAT ||
+				typeof profile.prefs !== "object" ||
+				!profile.prefs ||
+				Array.isArray(profile.prefs)
+			) {
+				Services.prompt.alert(
+					window,
+					title,
+					"This isn't a Nug settings file.",
+				);
+				return null;
+			}
+
+			const changes = [];
+			const skipped = [];
+			const problems = [];
+			for (const [name, value] of Object.entries(profile.prefs)) {
+				if (!shared.schema.get(name)?.declared) {
+					skipped.push(name);
+					continue;
+				}
+				const problem = Nug.prefs.validate(name, value);
+				if (problem) problems.push(`${name}: ${problem}`);
+				else if (value !== Nug.prefs.get(name))
+					changes.push([name, value]);
+			}
+			if (problems.length) {
+				Services.prompt.alert(
+					window,
+					title,
+					`Nothing was imported. Invalid values:\n${previewLines(problems)}`,
+				);
+				return null;
+			}
+			if (!changes.length) {
+				Services.prompt.alert(
+					window,
+					title,
+					"Your settings already match this file.",
+				);
+				return { applied: [], skipped };
+			}
+
+			const lines = changes.map(
+				([name, value]) =>
+					`${prefLabel(name)}: ${describeValue(name, Nug.prefs.get(name))} → ${describeValue(name, value)}`,
+			);
+			if (skipped.length)
+				lines.push(`(skipping unknown: ${skipped.join(", ")})`);
+			if (
+				!Services.prompt.confirm(
+					window,
+					title,
+					`Apply these changes?\n\n${previewLines(lines)}`,
+				)
+			)
+				return null;
+
+			try {
+				applyAtomically(changes);
+			} catch (e) {
+				Nug.log.error("settings", "import failed, rolled back", e);
+				Services.prompt.alert(
+					window,
+					title,
+					`Import failed and was rolled back:\n${e.message}`,
+				);
+				return null;
+			}
+			const applied = changes.map(([name]) => name);
+			Nug.log("settings", "imported", {
+				path: file.path,
+				applied,
+				skipped,
+			});
+			return { applied, skipped };
+		},
+		// Clear every user-set declared pref back to its preferences.json default.
+		async reset() {
+			const title = "Reset Nug settings";
+			const changed = Nug.prefs
+				.names({ declared: true })
+				.filter((name) => Services.prefs.prefHasUserValue(name));
+			if (!changed.length) {
+				Services.prompt.alert(
+					window,
+					title,
+					"All Nug settings are already at their defaults.",
+				);
+				return [];
+			}
+			const lines = changed.map(
+				(name) =>
+					`${prefLabel(name)}: ${describeValue(name, Nug.prefs.get(name))}`,
+			);
+			if (
+				!Services.prompt.confirm(
+					window,
+					title,
+					`Reset these to their defaults?\n\n${previewLines(lines)}`,
+				)
+			)
+				return null;
+			for (const name of changed) Services.prefs.clearUserPref(name);
+			Nug.log("settings", "reset", { cleared: changed });
+			return changed;
+		},
+	};
+
+	// DOM lifecycle helpers. Observers created here disconnect themselves when
+	// this window unloads; each call also returns its own disconnect fn.
+	const unloadCleanups = new Set();
+	window.addEventListener(
+		"unload",
+		() => {
+			for (const cleanup of unloadCleanups) {
+				try {
+					cleanup();
+				} catch (e) {}
+			}
+			unloadCleanups.clear();
+		},
+		{ once: true },
+	);
+
+	function untilUnload(disconnect) {
+		unloadCleanups.add(disconnect);
+		return () => {
+			unloadCleanups.delete(disconnect);
+			disconnect();
+		};
+	}
+
+	// MutationObserver on node; callback gets (mutations, observer).
+	Nug.observe = function (node, options, callback) {
+		const observer = new MutationObserver(callback);
+		observer.observe(node, options);
+		return untilUnload(() => observer.disconnect());
+	};
+
+	// ResizeObserver on node; callback gets the latest entry.
+	Nug.onResize = function (node, callback) {
+		const observer = new ResizeObserver((entries) =>
+			callback(entries[entries.length - 1]),
+		);
+		observer.observe(node);
+		return untilUnload(() => observer.disconnect());
+	};
+
+	// Resolve with the first element matching selector under root, waiting for
+	// it to be inserted (or to gain the attributes it's selected by) if needed.
+	// Rejects after timeout ms (0 waits indefinitely) or when signal aborts.
+	Nug.waitForElement = function (
+		selector,
+		{ timeout = 10000, root = document, signal } = {},
+	) {
+		return new Promise((resolve, reject) => {
+			const found = root.querySelector(selector);
+			if (found) {
+				resolve(found);
+				return;
+			}
+			if (signal?.aborted) {
+				reject(signal.reason);
+				return;
+			}
+			let timer = 0;
+			let disconnect = null;
+			const onAbort = () => settle(reject, signal.reason);
+			const settle = (fn, value) => {
+				disconnect?.();
+				clearTimeout(timer);
+				signal?.removeEventListener("abort", onAbort);
+				fn(value);
+			};
+			disconnect = Nug.observe(
+				root,
+				{ childList: true, subtree: true, attributes: true },
+				() => {
+					const el = root.querySelector(selector);
+					if (el) settle(resolve, el);
+				},
+			);
+			if (timeout) {
+				timer = setTimeout(
+					() =>
+						settle(
+							reject,
+							new Error(`timed out waiting for ${selector}`),
+						),
+					timeout,
+				);
+			}
+			signal?.addEventListener("abort", onAbort, { once: true });
+		});
+	};
+
+	// Injected <style>s by document, then id: { node, css, unsubscribe, release }.
+	const styles = new WeakMap();
+	const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+	// css is a string or a template fn called with a pref getter; the prefs a
+	// template reads are observed and the style re-rendered when they change.
+	function renderStyle(id, entry) {
+		entry.unsubscribe?.();
+		entry.unsubscribe = null;
+		if (typeof entry.css !== "function") {
+			entry.node.textContent = entry.css;
+			return;
+		}
+		const deps = new Set();
+		try {
+			entry.node.textContent = entry.css((name) => {
+				deps.add(name);
+				return Nug.prefs.get(name);
+			});
+		} catch (e) {
+			Nug.log.error("styles", "render failed", { id, error: e });
+		}
+		if (deps.size) {
+			entry.unsubscribe = Nug.prefs.subscribe([...deps], () =>
+				renderStyle(id, entry),
+			);
+		}
+	}
+
+	// Add or update the <style> with this id in doc (the chrome document by
+	// default; subdialogs and about: pages work too). Returns the node.
+	Nug.injectStyle = function (id, css, { doc = document } = {}) {
+		let byId = styles.get(doc);
+		if (!byId) styles.set(doc, (byId = new Map()));
+		let entry = byId.get(id);
+		if (!entry?.node.isConnected) {
+			entry?.release();
+			const node =
+				doc.getElementById(id) ??
+				doc.createElementNS(XHTML_NS, "style");
+			node.id = id;
+			if (!node.isConnected) {
+				// Last in other documents' roots, so it wins ties with their sheets.
+				const parent =
+					doc === document ? doc.head : doc.documentElement;
+				parent.appendChild(node);
+			}
+			entry = { node, css, unsubscribe: null };
+			// Pref observers go away with whichever window closes first.
+			const stopWatching = () => {
+				entry.unsubscribe?.();
+				entry.unsubscribe = null;
+			};
+			entry.release = untilUnload(stopWatching);
+			if (doc !== document) {
+				doc.defaultView?.addEventListener("unload", entry.release, {
+					once: true,
+				});
+			}
+			byId.set(id, entry);
+		}
+		entry.css = css;
+		renderStyle(id, entry);
+		return entry.node;
+	};
+
+	// Remove the <style> with this id from doc and stop re-rendering it.
+	Nug.removeStyle = function (id, { doc = document } = {}) {
+		const byId = styles.get(doc);
+		const entry = byId?.get(id);
+		byId?.delete(id);
+		entry?.release();
+		(entry?.node ?? doc.getElementById(id))?.remove();
+	};
+
+	// JSWindowActors load from module URLs a content process can read, so the
+	// mod's root (found the same way as preferences.json) is mapped to
+	// resource://nug/ and parent/child are paths under it. Registration is
+	// process-wide; later windows get the same name back.
+	Nug.registerActor = function (name, { parent, child, ...options }) {
+		if (shared.actors.has(name)) return name;
+		const resource = Services.io
+			.getProtocolHandler("resource")
+			.QueryInterface(Ci.nsIResProtocolHandler);
+		if (!resource.hasSubstitution("nug")) {
+			let root = Services.io.newURI(
+				"../",
+				null,
+				Services.io.newURI(SCRIPT_URL),
+			);
+			if (root.scheme === "chrome") {
+				root = Cc["@mozilla.org/chrome/chrome-registry;1"]
+					.getService(Ci.nsIChromeRegistry)
+					.convertChromeURL(root);
+			}
+			resource.setSubstitution("nug", root);
+		}
+		ChromeUtils.registerWindowActor(name, {
+			parent: { esModuleURI: `resource://nug/${parent}` },
+			child: { esModuleURI: `resource://nug/${child}` },
+			...options,
+		});
+		shared.actors.add(name);
+		return name;
+	};
+
+	// Feature registry. A feature is one script's behaviour behind an optional
+	// bool enable pref: setup(ctx) runs once the window is ready and the pref is
+	// on, teardown(ctx, reason) when the pref goes off ("disabled") or the window
+	// closes ("unload"). Whatever setup registers through ctx is disposed
+	// automatically after teardown, newest first, so most features don't need a
+	// teardown at all.
+	const features = new Map();
+
+	function createFeatureContext(id) {
+		const disposers = [];
+		const abort = new AbortController();
+		const ctx = {
+			id,
+			// Aborted on teardown, for async setup work (fetches, waitForElement).
+			signal: abort.signal,
+			// Register a cleanup fn. Returns it so callers can also run it early.
+			add(dispose) {
+				disposers.push(dispose);
+				return dispose;
+			},
+			listen(target, type, handler, options) {
+				target.addEventListener(type, handler, options);
+				return ctx.add(() =>
+					target.removeEventListener(type, handler, options),
+				);
+			},
+			// Services.obs observer; handler gets (subject, topic, data).
+			observe(topic, handler) {
+				const observer = { observe: handler };
+				Services.obs.addObserver(observer, topic);
+				return ctx.add(() =>
+					Services.obs.removeObserver(observer, topic),
+				);
+			},
+			subscribe(names, onChange) {
+				return ctx.add(Nug.prefs.subscribe(names, onChange));
+			},
+			on(topic, handler) {
+				return ctx.add(Nug.bus.subscribe(topic, handler));
+			},
+			hotkey(action) {
+				return ctx.add(Nug.hotkeys.register(action));
+			},
+			// Keep element's nug-motion attribute on this feature's level, so
+			// userChrome.css lets its subtree move when nug.<id>.motion is
+			// "full". Teardown takes the attribute off again.
+			reflectMotion(element) {
+				const unreflect = Nug.motion.reflect(element, id);
+				return ctx.add(() => {
+					unreflect();
+					element.removeAttribute("nug-motion");
+				});
+			},
+			mutations(node, options, callback) {
+				return ctx.add(Nug.observe(node, options, callback));
+			},
+			onResize(node, callback) {
+				return ctx.add(Nug.onResize(node, callback));
+			},
+			waitForElement(selector, options) {
+				return Nug.waitForElement(selector, {
+					...options,
+					signal: abort.signal,
+				});
+			},
+			style(styleId, css, options) {
+				const node = Nug.injectStyle(styleId, css, options);
+				ctx.add(() => Nug.removeStyle(styleId, options));
+				return node;
+			},
+			dispose() {
+				abort.abort();
+				while (disposers.length) {
+					try {
+						disposers.pop()();
+					} catch (e) {
+						Nug.log.error(id, "cleanup failed", e);
+					}
+				}
+			},
+		};
+		return ctx;
+	}
+
+	Nug.registerFeature = function ({ id, enablePref, setup, teardown }) {
+		if (features.has(id)) return features.get(id);
+		const feature = { id, enablePref, active: false, ctx: null };
+		features.set(id, feature);
+		// Declared so the startup audit doesn't flag them as typos.
+		Nug.prefs.define([
+			{
+				property: `nug.${id}.debug`,
+				type: "checkbox",
+				defaultValue: false,
+			},
+			{
+				property: `nug.${id}.motion`,
+				type: "dropdown",
+				value: "string",
+				defaultValue: "",
+				options: MOTION_LEVELS.map((value) => ({ value })),
+			},
+		]);
+
+		let ready = false;
+		const enabled = () => !enablePref || Nug.prefs.get(enablePref);
+
+		const stop = (reason) => {
+			if (!feature.active) return;
+			feature.active = false;
+			Nug.log(id, "teardown", { reason });
+			try {
+				teardown?.(feature.ctx, reason);
+			} catch (e) {
+				Nug.log.error(id, "teardown failed", e);
+			}
+			feature.ctx.dispose();
+			feature.ctx = null;
+		};
+		const start = () => {
+			if (feature.active) return;
+			feature.active = true;
+			const ctx = (feature.ctx = createFeatureContext(id));
+			Nug.log(id, "setup");
+			const fail = (e) => {
+				// A teardown while async setup was waiting isn't a failure.
+				if (ctx.signal.aborted) return;
+				Nug.log.error(id, "setup failed", e);
+				stop("error");
+			};
+			try {
+				// setup may be async, e.g. waiting for late-created Zen UI.
+				setup(ctx)?.catch?.(fail);
+			} catch (e) {
+				fail(e);
+			}
+		};
+
+		const unsubscribe = enablePref
+			? Nug.prefs.subscribe(enablePref, () => {
+					if (!ready) return;
+					if (enabled()) start();
+					else stop("disabled");
+				})
+			: () => {};
+		window.addEventListener(
+			"unload",
+			() => {
+				unsubscribe();
+				stop("unload");
+			},
+			{ once: true },
+		);
+
+		Nug.whenReady(() => {
+			ready = true;
+			if (enabled()) start();
+		});
+		return feature;
+	};
+
+	Nug.features = {
+		// Features registered in this window and whether they're running.
+		list() {
+			return [...features.values()].map(({ id, enablePref, active }) => ({
+				id,
+				enablePref,
+				active,
+			}));
+		},
+		// The same for every browser window, keyed by outer window id.
+		status() {
+			const result = {};
+			for (const win of Services.wm.getEnumerator("navigator:browser")) {
+				let id = "?";
+				try {
+					id = win.docShell.outerWindowID;
+				} catch (e) {}
+				result[id] = win.Nug?.features?.list() ?? [];
+			}
+			return result;
+		},
+	};
+
+	// Named keyboard actions. Each action's binding lives in the string pref
+	// nug.keys.<id>, e.g. "accel+alt+shift+E" ("" unbinds it); declare that pref
+	// in preferences.json or pass `key` as the default. Bindings are read live,
+	// so rebinding needs no restart. Matching is on event.code, so a binding
+	// keeps working across keyboard layouts and with shift held.
+	const IS_MAC = AppConstants.platform === "macosx";
+	const MODIFIERS = ["ctrl", "alt", "shift", "meta"];
+	const hotkeys = new Map();
+
+	function normalizeModifier(mod) {
+		if (mod === "accel") return IS_MAC ? "meta" : "ctrl";
+		if (mod === "control") return "ctrl";
+		if (mod === "cmd" || mod === "os") return "meta";
+		return mod;
+	}
+
+	// Binding key name -> KeyboardEvent.code: "k" -> "KeyK", "5" -> "Digit5",
+	// "f5" -> "F5". Anything else must already be a code, e.g. "ArrowUp".
+	function codeFor(key) {
+		if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+		if (/^[0-9]$/.test(key)) return `Digit${key}`;
+		if (/^f[0-9]{1,2}$/i.test(key)) return key.toUpperCase();
+		return key;
+	}
+
+	// "accel+shift+K" -> { ctrl, alt, shift, meta, code: "KeyK" }, or null.
+	function parseBinding(binding) {
+		const parts = binding.split("+").map((p) => p.trim());
+		const key = parts.pop();
+		// A binding needs a key besides its modifiers: "ctrl+shift" isn't one.
+		if (!key || MODIFIERS.includes(normalizeModifier(key.toLowerCase())))
+			return null;
+		const combo = { ctrl: false, alt: false, shift: false, meta: false };
+		for (const part of parts) {
+			const mod = normalizeModifier(part.toLowerCase());
+			if (!MODIFIERS.includes(mod)) return null;
+			combo[mod] = true;
+		}
+		combo.code = codeFor(key);
+		return combo;
+	}
+
+	const comboId = (c) => [...MODIFIERS.filter((m) => c[m]), c.code].join("+");
+
+	// The same shape for a XUL <key>, so ours can be compared with Firefox's and
+	// Zen's. Only keys with a plain character or an F-key are comparable.
+	function keyElementCombo(el) {
+		const key = el.getAttribute("key");
+		const keycode = el.getAttribute("keycode") ?? "";
+		let code;
+		if (key?.length === 1) code = codeFor(key);
+		else if (/^VK_F[0-9]{1,2}$/.test(keycode)) code = keycode.slice(3);
+		else return null;
+		const combo = {
+			ctrl: false,
+			alt: false,
+			shift: false,
+			meta: false,
+			code,
+		};
+		for (const part of (el.getAttribute("modifiers") || "").split(
+			/[\s,]+/,
+		)) {
+			const mod = normalizeModifier(part);
+			if (MODIFIERS.includes(mod)) combo[mod] = true;
+		}
+		return combo;
+	}
+
+	function bindingOf(id) {
+		const binding = Nug.prefs.get(`nug.keys.${id}`) ?? "";
+		return binding ? parseBinding(binding) : null;
+	}
+
+	// Existing <key> elements and other Nug actions bound to the same combo.
+	function findConflicts(id, combo) {
+		const wanted = comboId(combo);
+		const conflicts = [];
+		for (const el of document.querySelectorAll("key")) {
+			if (el.hasAttribute("disabled")) continue;
+			const other = keyElementCombo(el);
+			if (other && comboId(other) === wanted)
+				conflicts.push(el.id || el.getAttribute("command") || "<key>");
+		}
+		for (const otherId of hotkeys.keys()) {
+			const other = otherId !== id && bindingOf(otherId);
+			if (other && comboId(other) === wanted)
+				conflicts.push(`nug.keys.${otherId}`);
+		}
+		return conflicts;
+	}
+
+	function checkConflicts(id) {
+		const combo = bindingOf(id);
+		if (!combo) return;
+		const conflicts = findConflicts(id, combo);
+		if (conflicts.length)
+			Nug.log.warn("hotkeys", `nug.keys.${id} conflicts`, {
+				binding: comboId(combo),
+				conflicts,
+			});
+	}
+
+	function onHotkeyDown(event) {
+		if (event.repeat || !hotkeys.size) return;
+		for (const [id, action] of hotkeys) {
+			const combo = bindingOf(id);
+			if (
+				!combo ||
+				combo.code !== event.code ||
+				MODIFIERS.some((m) => combo[m] !== event[`${m}Key`])
+			)
+				continue;
+			event.preventDefault();
+			event.stopPropagation();
+			Nug.log.debug("hotkeys", "run", { id });
+			try {
+				action.run(event);
+			} catch (e) {
+				Nug.log.error("hotkeys", `${id} failed`, e);
+			}
+			return;
+		}
+	}
+	window.addEventListener("keydown", onHotkeyDown, true);
+
+	const unsubscribeKeys = Nug.prefs.subscribe("nug.keys.", (name) => {
+		const id = name.slice("nug.keys.".length);
+		if (!hotkeys.has(id)) return;
+		Nug.log("hotkeys", "rebound", { id, binding: Nug.prefs.get(name) });
+		checkConflicts(id);
+	});
+	window.addEventListener(
+		"unload",
+		() => {
+			window.removeEventListener("keydown", onHotkeyDown, true);
+			unsubscribeKeys();
+		},
+		{ once: true },
+	);
+
+	Nug.hotkeys = {
+		// { id, label, key?, run(event) } -> unregister fn.
+		register({ id, label, key, run }) {
+			const property = `nug.keys.${id}`;
+			if (!Nug.prefs.definition(property))
+				Nug.prefs.define({
+					property,
+					type: "string",
+					label,
+					defaultValue: key ?? "",
+				});
+			Nug.prefs.define({
+				property,
+				validate: (v) => v === "" || parseBinding(v) !== null,
+			});
+			const action = { id, label, run };
+			hotkeys.set(id, action);
+			// <key> elements from other scripts can arrive late; check once the
+			// window has settled.
+			Nug.whenReady(() => checkConflicts(id));
+			return () => {
+				if (hotkeys.get(id) === action) hotkeys.delete(id);
+			};
+		},
+		list() {
+			return [...hotkeys.values()].map(({ id, label }) => {
+				const combo = bindingOf(id);
+				return {
+					id,
+					label,
+					binding: Nug.prefs.get(`nug.keys.${id}`),
+					conflicts: combo ? findConflicts(id, combo) : [],
+				};
+			});
+		},
+	};
+
+	// Settings and the log have no UI of their own besides Sine's list, so
+	// these actions make the file workflows reachable. Each prompts before
+	// changing anything.
+	for (const [id, label, run] of [
+		["export-settings", "Export Nug settings", Nug.settings.export],
+		["import-settings", "Import Nug settings", Nug.settings.import],
+		["reset-settings", "Reset Nug settings", Nug.settings.reset],
+		["export-log", "Export the Nug log", Nug.log.export],
+	]) {
+		Nug.hotkeys.register({
+			id,
+			label,
+			run: () =>
+				run().catch((e) => Nug.log.error("hotkeys", `${id} failed`, e)),
+		});
+	}
+
+	// Motion level: "full", "reduced" or "none". The global level is "reduced"
+	// when the OS asks for it and nug.ignore-reduced-motion is off, else "full";
+	// nug.<feature>.motion overrides it for one feature. The global level is
+	// mirrored to :root[nug-motion] for userChrome.css's reduced-motion rule,
+	// and a feature's own to its elements with ctx.reflectMotion.
+	const MOTION_LEVELS = ["full", "reduced", "none"];
+	const reducedMotionQuery = window.matchMedia(
+		"(prefers-reduced-motion: reduce)",
+	);
+
+	Nug.motion = {
+		level(feature) {
+			if (feature) {
+				const override = Nug.prefs.getString(
+					`nug.${feature}.motion`,
+					"",
+				);
+				if (MOTION_LEVELS.includes(override)) return override;
+			}
+			return reducedMotionQuery.matches &&
+				!Nug.prefs.get("nug.ignore-reduced-motion")
+				? "reduced"
+				: "full";
+		},
+		// onChange(level) whenever feature's level (or the global one) changes.
+		// Returns an unsubscribe fn.
+		subscribe(onChange, feature) {
+			let last = Nug.motion.level(feature);
+			const check = () => {
+				const next = Nug.motion.level(feature);
+				if (next === last) return;
+				last = next;
+				onChange(next);
+			};
+			reducedMotionQuery.addEventListener("change", check);
+			const unsubscribe = Nug.prefs.subscribe(
+				feature
+					? ["nug.ignore-reduced-motion", `nug.${feature}.motion`]
+					: "nug.ignore-reduced-motion",
+				check,
+			);
+			return () => {
+				reducedMotionQuery.removeEventListener("change", check);
+				unsubscribe();
+			};
+		},
+		// Keep element's nug-motion attribute in sync with feature's level. An
+		// element marked "full" is exempt from the global reduced-motion rule.
+		reflect(element, feature) {
+			element.setAttribute("nug-motion", Nug.motion.level(feature));
+			return Nug.motion.subscribe(
+				(level) => element.setAttribute("nug-motion", level),
+				feature,
+			);
+		},
+	};
+
+	const unreflectRoot = Nug.motion.reflect(document.documentElement);
+	window.addEventListener("unload", unreflectRoot, { once: true });
+
+	// One-shot check for callers with their own opt-out pref. Features should
+	// prefer Nug.motion, which also honours per-feature overrides.
 	Nug.prefersReducedMotion = function (
 		ignorePref = "nug.ignore-reduced-motion",
 	) {
@@ -4,7 +4,7 @@
 // ==/UserScript==
 
 (function () {
-	const { prefs } = window.Nug;
+	const { prefs, hotkeys, injectStyle } = window.Nug;
 
 	const NUG_SUBDIALOG_CSS = `
 @media (prefers-color-scheme: dark) {
@@ -95,7 +95,8 @@
 @media not (-moz-bool-pref: 'nug.ephemeral.enabled') {
 	#nug-ephemeral-container,
 	#nug-ephemeral-debug,
-	#nug-ephemeral-dryrun {
+	#nug-ephemeral-dryrun,
+	#nug-keys-wipe-ephemeral {
 		display: none;
 	}
 }
@@ -119,38 +120,34 @@
 		"text",
 	];
 	const NUG_CUSTOM_INDEX = 15;
-	const NUG_HEX_RE =
-		/^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
 	const NUG_PREFS = [
 		{
 			idx: "nug-accent-color",
 			custom: "nug-accent-custom",
 			cssVar: "--nug-accent",
-			defIdx: 0,
 		},
 		{
 			idx: "nug-icon-color",
 			custom: "nug-icon-custom",
 			cssVar: "--nug-icon-color",
-			defIdx: 10,
 		},
 		{
 			idx: "nug-folder-color",
 			custom: "nug-folder-custom",
 			cssVar: "--nug-folder-color",
-			defIdx: 10,
 		},
 	];
 
+	// Index and hex are validated by Nug.prefs against preferences.json, so an
+	// out-of-range index or malformed hex already comes back as the default.
 	function resolveNugColor(p) {
-		const i = prefs.getInt(p.idx, p.defIdx);
+		const i = prefs.get(p.idx);
 		if (i === NUG_CUSTOM_INDEX) {
-			const hex = prefs.getString(p.custom, "");
-			if (NUG_HEX_RE.test(hex)) return hex;
-			return `var(--${NUG_COLORS[p.defIdx]})`;
+			const hex = prefs.get(p.custom);
+			if (hex) return hex;
+			return `var(--${NUG_COLORS[prefs.definition(p.idx).defaultValue]})`;
 		}
-		const name = NUG_COLORS[i] || NUG_COLORS[p.defIdx];
-		return `var(--${name})`;
+		return `var(--${NUG_COLORS[i]})`;
 	}
 
 	function applyNugColors(doc) {
@@ -182,10 +179,13 @@
 					"DOMContentLoaded",
 					() => {
 						try {
-							const style = subject.createElement("style");
-							style.textContent =
-								NUG_SUBDIALOG_CSS + NUG_SINE_FIXES_CSS;
-							subject.documentElement.appendChild(style);
+							// Keyed by id, so the observers of other open
+							// windows don't stack duplicate copies.
+							injectStyle(
+								"nug-subdialog-theme",
+								NUG_SUBDIALOG_CSS + NUG_SINE_FIXES_CSS,
+								{ doc: subject },
+							);
 							applyNugColors(subject);
 						} catch (e) {}
 
@@ -197,19 +197,6 @@
 							if (box) {
 								const pWin = win.parent;
 								let ticks = 0;
-								const waitForSizing = () => {
-									ticks++;
-									if (box.getAttribute("style")) {
-										ticks = 0;
-										pWin.requestAnimationFrame(
-											checkOverflow,
-										);
-									} else if (ticks < 120) {
-										pWin.requestAnimationFrame(
-											waitForSizing,
-										);
-									}
-								};
 								const checkOverflow = () => {
 									ticks++;
 									try {
@@ -257,7 +244,29 @@
 										}
 									} catch (e) {}
 								};
-								pWin.requestAnimationFrame(waitForSizing);
+								if (box.getAttribute("style")) {
+									pWin.requestAnimationFrame(checkOverflow);
+								} else {
+									// SubDialog sizes the box through its style attribute.
+									const stop = window.Nug.observe(
+										box,
+										{
+											attributes: true,
+											attributeFilter: ["style"],
+										},
+										() => {
+											if (!box.getAttribute("style"))
+												return;
+											stop();
+											pWin.requestAnimationFrame(
+												checkOverflow,
+											);
+										},
+									);
+									win.addEventListener("unload", stop, {
+										once: true,
+									});
+								}
 							}
 						} catch (e) {}
 					},
@@ -269,6 +278,21 @@
 
 	Services.obs.addObserver(subdialogObserver, "document-element-inserted");
 
+	hotkeys.register({
+		id: "switch-flavor",
+		label: "Switch Catppuccin flavor",
+		run() {
+			const { options } = prefs.definition("nug-catppuccin-flavor");
+			const i = options.findIndex(
+				(o) => o.value === prefs.get("nug-catppuccin-flavor"),
+			);
+			prefs.set(
+				"nug-catppuccin-flavor",
+				options[(i + 1) % options.length].value,
+			);
+		},
+	});
+
 	// Apply colors to the chrome window and react to pref changes live.
 	applyNugColors(document);
 	const watchedPrefs = NUG_PREFS.flatMap((p) => [p.idx, p.custom]);
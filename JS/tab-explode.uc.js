@@ -1,189 +1,924 @@
 // ==UserScript==
 // @name           Tab Explode Animation
-// @description    adds a bubble explosion animation when a tab or tab group is closed.
+// @description    adds an explosion animation (bubbles, confetti, dissolve, shatter or shrink) when a tab or tab group is closed, and an optional entry animation when one opens or is restored.
 // @include        *browser.xhtml
 // ==/UserScript==
 
 (() => {
-	const { whenReady, prefs, injectStyle, prefersReducedMotion } = window.Nug;
+	const { registerFeature, prefs, hotkeys, motion, log } = window.Nug;
 
-	const TAB_EXPLODE_PREF = "nug.tab.explode";
-	let tabExplodeEnabled = prefs.getBool(TAB_EXPLODE_PREF, true);
-	const unsubscribe = prefs.subscribe(TAB_EXPLODE_PREF, () => {
-		tabExplodeEnabled = prefs.getBool(TAB_EXPLODE_PREF, true);
-	});
-	window.addEventListener("unload", unsubscribe, { once: true });
+	const STYLE_PREF = "nug.tab.explode.style";
+	// 0 keeps the preset's own value; spread is a percentage of it.
+	const PARTICLES_PREF = "nug.tab.explode.particles";
+	const DURATION_PREF = "nug.tab.explode.duration";
+	const SPREAD_PREF = "nug.tab.explode.spread";
+	// "" keeps the style's colors; otherwise "favicon", "group" or "accent".
+	const TINT_PREF = "nug.tab.explode.tint";
+	const UNDO_PREF = "nug.tab.explode.undo";
+	// Opt-ins for tabs that don't explode by default.
+	const CATEGORY_PREFS = {
+		pinned: "nug.tab.explode.pinned",
+		essentials: "nug.tab.explode.essentials",
+		grouped: "nug.tab.explode.grouped",
+	};
+	const GROUP_SELECTOR = "tab-group, zen-folder";
+	const UNDO_TOAST_MS = 5000;
+	const TAB_EXPLODE_UNDO_ID = "tab-explode-undo-styles";
+	const ENTER_STYLE_PREF = "nug.tab.enter.style";
+	const ENTER_BATCH_LIMIT = 8;
+	const GLOW_COLOR = "var(--nug-accent, AccentColor)";
+	const FAVICON_SAMPLE_SIZE = 16;
+	const DELAY_JITTER = 120; // Milliseconds particles may start late
+	const MAX_PARTICLES = 1200; // Across every explosion in flight
+	const IDLE_TEARDOWN_MS = 2000;
+	const PARTICLE_OPACITY = 0.8;
+	const DEFAULT_PARTICLE_COLOR = "light-dark(#cac2b6, #808080)";
 
-	const TAB_EXPLODE_ANIMATION_ID = "tab-explode-animation-styles";
-	const BUBBLE_COUNT = 25; // Number of bubbles
-	const ANIMATION_DURATION = 600; // Milliseconds
+	const random = (min, max) => min + Math.random() * (max - min);
+	const CONFETTI_COLORS = [
+		"red",
+		"peach",
+		"yellow",
+		"green",
+		"blue",
+		"mauve",
+	];
 
-	function injectStyles() {
-		injectStyle(
-			TAB_EXPLODE_ANIMATION_ID,
-			`
-            .tab-explosion-container {
-                position: absolute;
-                top: 0;
-                left: 0;
-                width: 0;
-                height: 0;
-                pointer-events: none;
-                z-index: 99999;
-            }
+	const isGroup = (element) => !!element?.matches?.(GROUP_SELECTOR);
+	const groupOf = (tab) => tab.group ?? tab.closest(GROUP_SELECTOR);
 
-            .bubble-particle {
-                position: absolute;
-                background-color: light-dark( #cac2b6, #808080) !important;
-                border-radius: 50%;
-                opacity: 0.8;
-                animation-name: bubbleExplode;
-                animation-duration: ${ANIMATION_DURATION}ms;
-                animation-timing-function: ease-out;
-                animation-fill-mode: forwards;
-                will-change: transform, opacity;
-            }
+	// A point on the rect's outline, with the edge it's on (0 top, clockwise).
+	function pointOnEdge(rect, edge, inset) {
+		switch (edge) {
+			case 0:
+				return { x: random(0, rect.width), y: -inset };
+			case 1:
+				return { x: rect.width + inset, y: random(0, rect.height) };
+			case 2:
+				return { x: random(0, rect.width), y: rect.height + inset };
+			default:
+				return { x: -inset, y: random(0, rect.height) };
+		}
+	}
 
-            @keyframes bubbleExplode {
-                0% {
-                    transform: scale(0.2);
-                    opacity: 0.8;
-                }
-                100% {
-                    transform: translate(var(--tx, 0px), var(--ty, 0px)) scale(var(--s, 1));
-                    opacity: 0;
-                }
-            }
-        `,
+	// Each style is a preset: count, duration (ms) and spread (px, how far
+	// particles travel) are its tunable defaults, particle(i, rect, params)
+	// describes one particle relative to the closing element, and element is
+	// how the element itself goes away. Particle fields: x, y, size (or width
+	// and height), tx, ty, scale, rotate (deg), delay (ms), shape, color.
+	const EXPLODE_STYLES = {
+		bubbles: {
+			count: 25,
+			duration: 600,
+			spread: 10,
+			element: "fade",
+			particle(i, rect, { spread }) {
+				// The first four cover every edge once; the rest land anywhere.
+				const edge = i < 4 ? i : Math.floor(Math.random() * 4);
+				const { x, y } = pointOnEdge(rect, edge, 5);
+				const angle = random(0, Math.PI * 2);
+				const distance = random(1, 2);
+				return {
+					x,
+					y,
+					size: random(4, 8),
+					tx:
+						Math.cos(angle) * distance +
+						[0, spread, 0, -spread][edge],
+					ty:
+						Math.sin(angle) * distance +
+						[-spread, 0, spread, 0][edge],
+					scale: random(0.7, 1.1),
+					delay: random(0, DELAY_JITTER),
+					shape: "circle",
+				};
+			},
+		},
+		confetti: {
+			count: 40,
+			duration: 900,
+			spread: 40,
+			element: "fade",
+			particle(i, rect, { spread }) {
+				const angle = random(-Math.PI, 0); // Thrown upwards...
+				return {
+					x: random(0, rect.width),
+					y: random(0, rect.height),
+					width: random(3, 5),
+					height: random(6, 10),
+					tx: Math.cos(angle) * spread,
+					ty: Math.sin(angle) * spread * 0.5 + spread, // ...then falling
+					scale: 1,
+					rotate: random(-540, 540),
+					delay: random(0, DELAY_JITTER),
+					shape: "rect",
+					color: `var(--${CONFETTI_COLORS[i % CONFETTI_COLORS.length]})`,
+				};
+			},
+		},
+		dissolve: {
+			count: 60,
+			duration: 700,
+			spread: 12,
+			element: "fade",
+			particle(i, rect, { spread }) {
+				return {
+					x: random(0, rect.width),
+					y: random(0, rect.height),
+					size: random(1.5, 3),
+					tx: random(-spread, spread) / 2,
+					ty: -random(0, spread), // Drifting up like dust
+					scale: 0.5,
+					delay: random(0, DELAY_JITTER * 2),
+					shape: "circle",
+				};
+			},
+		},
+		shatter: {
+			count: 14,
+			duration: 650,
+			spread: 30,
+			element: "hide",
+			particle(i, rect, { spread }) {
+				const x = random(0, rect.width);
+				const y = random(0, rect.height);
+				// Shards fly away from the middle of the element.
+				const angle = Math.atan2(
+					y - rect.height / 2,
+					x - rect.width / 2,
+				);
+				return {
+					x,
+					y,
+					size: random(8, 16),
+					tx: Math.cos(angle) * spread * random(0.6, 1.2),
+					ty: Math.sin(angle) * spread * random(0.6, 1.2),
+					scale: random(0.6, 0.9),
+					rotate: random(-180, 180),
+					delay: random(0, DELAY_JITTER / 3),
+					shape: "shard",
+				};
+			},
+		},
+		shrink: {
+			count: 0,
+			duration: 250,
+			spread: 0,
+			element: "shrink",
+			particle: null,
+		},
+	};
+
+	// The selected preset with the tuning prefs applied on top.
+	function explodeStyle() {
+		const preset =
+			EXPLODE_STYLES[prefs.get(STYLE_PREF)] ?? EXPLODE_STYLES.bubbles;
+		const spread = prefs.get(SPREAD_PREF);
+		return {
+			...preset,
+			count: preset.particle
+				? prefs.get(PARTICLES_PREF) || preset.count
+				: 0,
+			duration: prefs.get(DURATION_PREF) || preset.duration,
+			spread: spread ? (preset.spread * spread) / 100 : preset.spread,
+		};
+	}
+
+	// Entry presets reuse the explode particles played backwards, so they
+	// converge on the new element; glow is a brief accent halo around it.
+	const ENTER_STYLES = {
+		bubbles: {
+			...EXPLODE_STYLES.bubbles,
+			count: 20,
+			duration: 450,
+			spread: 20,
+			glow: false,
+		},
+		glow: {
+			count: 0,
+			duration: 600,
+			spread: 0,
+			glow: true,
+			particle: null,
+		},
+		"bubbles-glow": {
+			...EXPLODE_STYLES.bubbles,
+			count: 20,
+			duration: 450,
+			spread: 20,
+			glow: true,
+		},
+	};
+
+	// Most common color among the favicon's opaque, colorful pixels, averaged
+	// within its bucket. Falls back to every opaque pixel for monochrome icons.
+	function faviconColor(tab) {
+		const icon = tab.querySelector?.(".tab-icon-image");
+		if (!icon?.src || icon.complete === false) return null;
+		const canvas = document.createElementNS(
+			"http://www.w3.org/1999/xhtml",
+			"canvas",
 		);
+		canvas.width = canvas.height = FAVICON_SAMPLE_SIZE;
+		const context = canvas.getContext("2d");
+		if (!context) return null;
+		let data;
+		try {
+			context.drawImage(
+				icon,
+				0,
+				0,
+				FAVICON_SAMPLE_SIZE,
+				FAVICON_SAMPLE_SIZE,
+			);
+			({ data } = context.getImageData(
+				0,
+				0,
+				FAVICON_SAMPLE_SIZE,
+				FAVICON_SAMPLE_SIZE,
+			));
+		} catch (e) {
+			return null;
+		}
+		const buckets = new Map();
+		const grey = new Map();
+		for (let i = 0; i < data.length; i += 4) {
+			const [r, g, b, a] = data.subarray(i, i + 4);
+			if (a < 128) continue;
+			const colorful = Math.max(r, g, b) - Math.min(r, g, b) > 40;
+			const into = colorful ? buckets : grey;
+			const key = ((r >> 5) << 6) | ((g >> 5) << 3) | (b >> 5);
+			const bucket = into.get(key) ?? { n: 0, r: 0, g: 0, b: 0 };
+			bucket.n++;
+			bucket.r += r;
+			bucket.g += g;
+			bucket.b += b;
+			into.set(key, bucket);
+		}
+		let best = null;
+		for (const bucket of (buckets.size ? buckets : grey).values()) {
+			if (!best || bucket.n > best.n) best = bucket;
+		}
+		if (!best) return null;
+		const avg = (sum) => Math.round(sum / best.n);
+		return `rgb(${avg(best.r)}, ${avg(best.g)}, ${avg(best.b)})`;
 	}
 
-	function animateElementClose(element) {
-		if (!element || !element.isConnected) return;
-		if (prefersReducedMotion()) return;
+	function cssVariable(element, name) {
+		return getComputedStyle(element).getPropertyValue(name).trim() || null;
+	}
 
-		const elementRect = element.getBoundingClientRect(); // Viewport-relative
-		const explosionContainer = document.createElement("div");
-		explosionContainer.className = "tab-explosion-container"; // Has position: absolute
+	// The tint for this close, resolved to a concrete color now since the
+	// element (and the group it's in) are about to go away. null keeps the
+	// style's own colors.
+	function particleTint(element) {
+		try {
+			switch (prefs.get(TINT_PREF)) {
+				case "favicon":
+					return element.localName === "tab"
+						? faviconColor(element)
+						: null;
+				case "group": {
+					const group = isGroup(element) ? element : groupOf(element);
+					return group
+						? cssVariable(group, "--tab-group-color")
+						: null;
+				}
+				case "accent":
+					return cssVariable(
+						document.documentElement,
+						"--nug-accent",
+					);
+			}
+		} catch (e) {
+			log.warn("tab.explode", "tint failed", e);
+		}
+		return null;
+	}
 
-		let parentForAnimation = document.getElementById("browser");
-		if (!parentForAnimation || !parentForAnimation.isConnected) {
-			parentForAnimation =
-				document.getElementById("main-window") ||
-				document.documentElement;
+	function fadeOut(element) {
+		element.style.opacity = "0";
+		element.style.transition = "opacity 0.1s linear";
+	}
+
+	// How the closing element itself leaves; "hide" is for styles whose
+	// particles stand in for it.
+	function removeElement(element, how, duration) {
+		switch (how) {
+			case "hide":
+				element.style.opacity = "0";
+				break;
+			case "shrink":
+				element.style.transformOrigin = "center";
+				element.style.transition = `opacity ${duration}ms ease-in, transform ${duration}ms ease-in`;
+				element.style.transform = "scale(0.6)";
+				element.style.opacity = "0";
+				break;
+			default:
+				fadeOut(element);
 		}
+	}
 
-		const parentRect = parentForAnimation.getBoundingClientRect();
+	// One overlay canvas per window draws every explosion in flight from a
+	// single animation frame loop. Closes landing before the next frame start
+	// together, and the canvas goes away once nothing has moved for a while.
+	// Both features draw on it, so each system is tagged with the feature that
+	// spawned it and a feature stopping only cancels its own.
+	let canvas = null;
+	let context = null;
+	let systems = [];
+	let liveParticles = 0;
+	let frame = 0;
+	let idleTimer = 0;
+	const colors = new Map(); // CSS color → what the canvas can fill with
 
-		explosionContainer.style.left = `${elementRect.left - parentRect.left}px`;
-		explosionContainer.style.top = `${elementRect.top - parentRect.top}px`;
-		explosionContainer.style.width = `${elementRect.width}px`;
-		explosionContainer.style.height = `${elementRect.height}px`;
+	function overlayParent() {
+		const browser = document.getElementById("browser");
+		if (browser?.isConnected) return browser;
+		return (
+			document.getElementById("main-window") || document.documentElement
+		);
+	}
 
-		parentForAnimation.appendChild(explosionContainer);
+	function ensureCanvas(parent, parentRect) {
+		if (!canvas || canvas.parentNode !== parent) {
+			canvas?.remove();
+			canvas = document.createElementNS(
+				"http://www.w3.org/1999/xhtml",
+				"canvas",
+			);
+			canvas.className = "tab-explosion-canvas";
+			// Inline, since either feature may be the one drawing.
+			canvas.style.cssText =
+				"position: absolute; top: 0; left: 0; pointer-events: none; z-index: 99999;";
+			context = canvas.getContext("2d");
+			parent.appendChild(canvas);
+		}
+		const ratio = window.devicePixelRatio || 1;
+		const width = Math.round(parentRect.width * ratio);
+		const height = Math.round(parentRect.height * ratio);
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+			canvas.style.width = `${parentRect.width}px`;
+			canvas.style.height = `${parentRect.height}px`;
+		}
+		return context;
+	}
 
-		for (let i = 0; i < BUBBLE_COUNT; i++) {
-			const bubble = document.createElement("div");
-			bubble.className = "bubble-particle";
+	// Canvas fills don't understand var() or light-dark(); let the canvas
+	// element compute them against the current theme.
+	function resolveColor(color) {
+		if (!colors.has(color)) {
+			canvas.style.color = color;
+			colors.set(color, getComputedStyle(canvas).color || color);
+			canvas.style.color = "";
+		}
+		return colors.get(color);
+	}
 
-			let initialX, initialY;
-			let edge;
-			if (i < 4) {
-				edge = i;
-			} else {
-				edge = Math.floor(Math.random() * 4);
-			}
+	function teardownRenderer() {
+		cancelAnimationFrame(frame);
+		clearTimeout(idleTimer);
+		canvas?.remove();
+		canvas = context = null;
+		systems = [];
+		liveParticles = frame = idleTimer = 0;
+		colors.clear();
+	}
 
-			const bubbleSizeOffset = 5; // Half of average bubble size, to keep them visually on edge
-
-			switch (edge) {
-				case 0: // Top edge
-					initialX = Math.random() * elementRect.width;
-					initialY = -bubbleSizeOffset;
-					break;
-				case 1: // Right edge
-					initialX = elementRect.width + bubbleSizeOffset;
-					initialY = Math.random() * elementRect.height;
-					break;
-				case 2: // Bottom edge
-					initialX = Math.random() * elementRect.width;
-					initialY = elementRect.height + bubbleSizeOffset;
-					break;
-				case 3: // Left edge
-					initialX = -bubbleSizeOffset;
-					initialY = Math.random() * elementRect.height;
-					break;
-			}
+	// Drop one feature's systems, leaving the other's in flight.
+	function cancelSystems(owner) {
+		systems = systems.filter((system) => system.owner !== owner);
+		if (!systems.length) {
+			teardownRenderer();
+			return;
+		}
+		liveParticles = systems.reduce(
+			(count, system) => count + system.particles.length,
+			0,
+		);
+	}
 
-			bubble.style.left = `${initialX}px`;
-			bubble.style.top = `${initialY}px`;
-			bubble.style.width = `${Math.random() * 4 + 4}px`; // Random size (4px to 8px)
-			bubble.style.height = bubble.style.width;
+	// Particles grow from scale(0.2) to their own translate, rotate and
+	// scale with an ease-out, fading from 0.8 opacity to nothing. Entry
+	// animations play the same curve backwards.
+	function drawParticle(particle, elapsed, duration, reverse) {
+		let t = Math.min(Math.max(elapsed / duration, 0), 1);
+		if (reverse) t = 1 - t;
+		const eased = 1 - (1 - t) * (1 - t);
+		const width = particle.width ?? particle.size;
+		const height = particle.height ?? particle.size;
+		const scale = 0.2 + ((particle.scale ?? 1) - 0.2) * eased;
+		context.save();
+		context.globalAlpha = PARTICLE_OPACITY * (1 - eased);
+		context.fillStyle = particle.fill;
+		context.translate(
+			particle.x + width / 2 + particle.tx * eased,
+			particle.y + height / 2 + particle.ty * eased,
+		);
+		context.rotate((((particle.rotate ?? 0) * eased) / 180) * Math.PI);
+		context.scale(scale, scale);
+		context.beginPath();
+		switch (particle.shape) {
+			case "rect":
+				context.rect(-width / 2, -height / 2, width, height);
+				break;
+			case "shard":
+				context.moveTo(0, -height / 2);
+				context.lineTo(width / 2, height * 0.3);
+				context.lineTo(-width * 0.4, height / 2);
+				context.closePath();
+				break;
+			default:
+				context.arc(0, 0, width / 2, 0, Math.PI * 2);
+		}
+		context.fill();
+		context.restore();
+	}
 
-			const angle = Math.random() * Math.PI * 2;
-			const distance = Math.random() * 1 + 1; // Explosion radius, even further reduced spread
-			let finalTranslateX = Math.cos(angle) * distance;
-			let finalTranslateY = Math.sin(angle) * distance;
+	function renderFrame(now) {
+		frame = 0;
+		const ratio = window.devicePixelRatio || 1;
+		context.setTransform(1, 0, 0, 1, 0, 0);
+		context.clearRect(0, 0, canvas.width, canvas.height);
+		context.setTransform(ratio, 0, 0, ratio, 0, 0);
+		liveParticles = 0;
+		for (const system of systems) {
+			// Everything spawned since the last frame starts together.
+			system.start ??= now;
+			const elapsed = now - system.start;
+			system.particles = system.particles.filter(
+				(particle) => elapsed - particle.delay < system.duration,
+			);
+			context.save();
+			context.translate(system.left, system.top);
+			for (const particle of system.particles)
+				drawParticle(
+					particle,
+					elapsed - particle.delay,
+					system.duration,
+					system.reverse,
+				);
+			context.restore();
+			liveParticles += system.particles.length;
+		}
+		systems = systems.filter((system) => system.particles.length);
+		if (systems.length) {
+			frame = requestAnimationFrame(renderFrame);
+		} else {
+			idleTimer = setTimeout(teardownRenderer, IDLE_TEARDOWN_MS);
+		}
+	}
 
-			// Bias explosion outwards from the edge
-			const outwardBias = 10; // Reduced outward bias
-			if (edge === 0) finalTranslateY -= outwardBias; // Upwards from top
-			if (edge === 1) finalTranslateX += outwardBias; // Rightwards from right
-			if (edge === 2) finalTranslateY += outwardBias; // Downwards from bottom
-			if (edge === 3) finalTranslateX -= outwardBias; // Leftwards from left
+	function spawnParticles(
+		style,
+		elementRect,
+		tint,
+		{ reverse = false, owner = "tab.explode" } = {},
+	) {
+		const budget = MAX_PARTICLES - liveParticles;
+		const count = Math.min(style.count, budget);
+		if (count < style.count)
+			log.debug("tab.explode", "particle cap reached", {
+				wanted: style.count,
+				drawn: count,
+			});
+		if (count <= 0) return;
+		const parent = overlayParent();
+		const parentRect = parent.getBoundingClientRect();
+		if (!ensureCanvas(parent, parentRect)) return;
+		const particles = [];
+		for (let i = 0; i < count; i++) {
+			const particle = style.particle(i, elementRect, style);
+			particle.delay ??= 0;
+			particle.fill = resolveColor(
+				tint ?? particle.color ?? DEFAULT_PARTICLE_COLOR,
+			);
+			particles.push(particle);
+		}
+		systems.push({
+			left: elementRect.left - parentRect.left,
+			top: elementRect.top - parentRect.top,
+			duration: style.duration,
+			reverse,
+			owner,
+			particles,
+			start: null,
+		});
+		liveParticles += count;
+		clearTimeout(idleTimer);
+		idleTimer = 0;
+		frame ||= requestAnimationFrame(renderFrame);
+	}
 
-			const finalScale = Math.random() * 0.4 + 0.7; // Scale up a bit
+	// Drop explosions already in flight when motion is turned down mid-burst.
+	function onMotionChange(level) {
+		if (level !== "full") cancelSystems("tab.explode");
+	}
 
-			bubble.style.setProperty("--tx", `${finalTranslateX}px`);
-			bubble.style.setProperty("--ty", `${finalTranslateY}px`);
-			bubble.style.setProperty("--s", finalScale);
+	function visibleRect(node) {
+		const rect = node.getBoundingClientRect();
+		if (!rect.width || !rect.height) return null;
+		const bounds = overlayParent().getBoundingClientRect();
+		const onScreen =
+			rect.right > bounds.left &&
+			rect.left < bounds.right &&
+			rect.bottom > bounds.top &&
+			rect.top < bounds.bottom;
+		return onScreen ? rect : null;
+	}
 
-			bubble.style.animationDelay = `${Math.random() * 120}ms`;
+	// Where particles start, viewport-relative: a tab's background rather
+	// than the whole tab, which matters for the essentials grid and the
+	// collapsed sidebar; for a tab tucked into a collapsed group or folder,
+	// the group's label. null when none of it is on screen, like a tab in
+	// compact mode's hidden sidebar.
+	function explosionRect(element) {
+		if (element.localName !== "tab") return visibleRect(element);
+		const rect = visibleRect(
+			element.querySelector(".tab-background") ?? element,
+		);
+		if (rect) return rect;
+		const label = groupOf(element)?.querySelector(
+			".tab-group-label-container, .tab-group-label",
+		);
+		return label ? visibleRect(label) : null;
+	}
 
-			explosionContainer.appendChild(bubble);
+	// Measures the element while it's still laid out, and returns what plays
+	// its close (or null if nothing will).
+	function prepareElementClose(element) {
+		if (!element || !element.isConnected) return null;
+		const level = motion.level("tab.explode");
+		// Its fade or shrink transition follows tab.explode's level rather than
+		// the root's. It's on its way out, so nothing takes this off again.
+		element.setAttribute("nug-motion", level);
+		if (level !== "full") {
+			// Reduced motion still gets the fade, just no particles flying out.
+			log.debug("tab.explode", "skipped particles", { motion: level });
+			return level === "reduced" ? () => fadeOut(element) : null;
 		}
 
-		element.style.opacity = "0";
-		element.style.transition = "opacity 0.1s linear";
+		const style = explodeStyle();
+		const rect = explosionRect(element);
+		log.debug("tab.explode", "explode", {
+			target: element.localName,
+			style: prefs.get(STYLE_PREF),
+			particles: style.count,
+			width: rect?.width ?? 0,
+			height: rect?.height ?? 0,
+		});
+		// Sampled before the element starts fading.
+		const tint = style.count && rect ? particleTint(element) : null;
+		return () => {
+			removeElement(element, style.element, style.duration);
+			if (style.count && rect) spawnParticles(style, rect, tint);
+		};
+	}
 
-		setTimeout(() => {
-			if (explosionContainer.parentNode) {
-				explosionContainer.parentNode.removeChild(explosionContainer);
-			}
-		}, ANIMATION_DURATION + 100); // Add slight buffer for animation delay
+	function animateElementClose(element) {
+		prepareElementClose(element)?.();
+	}
+
+	// The undo toast sits where the tab was. Closes while it's up join it, so
+	// a burst of closes can be undone in one go.
+	let undoToast = null;
+	const pendingUndo = new Set();
+
+	function injectStyles(ctx) {
+		ctx.style(
+			TAB_EXPLODE_UNDO_ID,
+			`
+            .nug-undo-toast {
+                position: absolute;
+                z-index: 100000;
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                max-width: 280px;
+                padding: 4px 4px 4px 8px;
+                border-radius: 8px;
+                background: var(--base);
+                color: var(--text);
+                box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+                font-size: 12px;
+            }
+
+            .nug-undo-toast-icon {
+                width: 16px;
+                height: 16px;
+                flex-shrink: 0;
+            }
+
+            .nug-undo-toast-label {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                white-space: nowrap;
+                text-overflow: ellipsis;
+            }
+
+            .nug-undo-toast-button {
+                appearance: none;
+                border: none;
+                border-radius: 6px;
+                padding: 2px 8px;
+                background: var(--nug-accent);
+                color: var(--crust);
+                font: inherit;
+                cursor: pointer;
+            }
+        `,
+		);
+	}
+
+	// SessionStore numbers closes in order, so an entry newer than this one was
+	// recorded after it.
+	function newestClosedId() {
+		return Math.max(
+			-1,
+			...SessionStore.getClosedTabDataForWindow(window).map(
+				(d) => d.closedId,
+			),
+		);
+	}
+
+	// SessionStore's id for the close, skipping ones the toast already holds
+	// and ones recorded before the tab closed. null when the tab wasn't worth
+	// saving (a blank new tab, say).
+	function findClosedId(title, after) {
+		const claimed = new Set(undoToast?.closed.map((c) => c.closedId));
+		const data = SessionStore.getClosedTabDataForWindow(window).find(
+			(d) =>
+				d.closedId > after &&
+				!claimed.has(d.closedId) &&
+				d.title === title,
+		);
+		return data?.closedId ?? null;
+	}
+
+	function createUndoToast() {
+		const node = document.createElement("div");
+		node.className = "nug-undo-toast";
+		node.setAttribute("role", "alert");
+		const icon = document.createElement("img");
+		icon.className = "nug-undo-toast-icon";
+		icon.alt = "";
+		const label = document.createElement("span");
+		label.className = "nug-undo-toast-label";
+		const button = document.createElement("button");
+		button.className = "nug-undo-toast-button";
+		button.addEventListener("click", undoCloses);
+		node.append(icon, label, button);
+		// Hovering keeps it up.
+		node.addEventListener("mouseenter", () =>
+			clearTimeout(undoToast.timer),
+		);
+		node.addEventListener("mouseleave", scheduleHideUndoToast);
+		overlayParent().appendChild(node);
+		return { node, icon, label, button, closed: [], timer: 0 };
+	}
+
+	function scheduleHideUndoToast() {
+		clearTimeout(undoToast.timer);
+		undoToast.timer = setTimeout(hideUndoToast, UNDO_TOAST_MS);
+	}
+
+	function hideUndoToast() {
+		if (!undoToast) return;
+		clearTimeout(undoToast.timer);
+		undoToast.node.remove();
+		undoToast = null;
+	}
+
+	function showUndoToast(closed, rect) {
+		undoToast ??= createUndoToast();
+		const { node, icon, label, button } = undoToast;
+		undoToast.closed.push(closed);
+		const count = undoToast.closed.length;
+		icon.hidden = count > 1 || !closed.icon;
+		if (!icon.hidden) icon.src = closed.icon;
+		label.textContent = count > 1 ? `${count} tabs closed` : closed.title;
+		button.textContent = count > 1 ? `Undo ${count} tabs` : "Undo";
+
+		const parent = node.parentNode;
+		const parentRect = parent.getBoundingClientRect();
+		const left = Math.min(
+			rect.left - parentRect.left,
+			parentRect.width - node.offsetWidth - 8,
+		);
+		node.style.left = `${Math.max(left, 0)}px`;
+		node.style.top = `${rect.top - parentRect.top}px`;
+		scheduleHideUndoToast();
+	}
+
+	function offerUndo(tab) {
+		const title = tab.label;
+		const icon = tab.getAttribute("image");
+		const rect = explosionRect(tab) ?? tab.getBoundingClientRect();
+		const after = newestClosedId();
+		// SessionStore records the close once every TabClose handler has run.
+		const timer = setTimeout(() => {
+			pendingUndo.delete(timer);
+			const closedId = findClosedId(title, after);
+			if (closedId !== null)
+				showUndoToast({ title, icon, closedId }, rect);
+		});
+		pendingUndo.add(timer);
+	}
+
+	// Most recent first, so each tab's saved position is right again by the
+	// time it comes back. SessionStore puts it back in its group too.
+	function undoCloses() {
+		const { closed } = undoToast;
+		hideUndoToast();
+		log.debug("tab.explode", "undo", { count: closed.length });
+		for (const { closedId } of closed.reverse()) {
+			const index = SessionStore.getClosedTabDataForWindow(
+				window,
+			).findIndex((d) => d.closedId === closedId);
+			if (index !== -1) SessionStore.undoCloseTab(window, index);
+		}
+	}
+
+	function cancelUndo() {
+		for (const timer of pendingUndo) clearTimeout(timer);
+		pendingUndo.clear();
+		hideUndoToast();
+	}
+
+	// Which opt-in a closing tab needs, or null for an ordinary tab.
+	function tabCategory(tab) {
+		if (tab.hasAttribute("zen-essential")) return "essentials";
+		if (tab.pinned) return "pinned";
+		if (groupOf(tab)) return "grouped";
+		return null;
 	}
 
 	function onTabClose(event) {
-		if (!tabExplodeEnabled) return;
 		const tab = event.target;
-		// Skip pinned/disconnected tabs
-		if (tab.localName === "tab" && !tab.pinned && tab.isConnected) {
-			// Tabs in a group are handled by the group-removal animation instead.
-			const groupParent = tab.closest("tab-group");
-			if (!groupParent) {
-				animateElementClose(tab);
-			}
+		if (tab.localName !== "tab" || !tab.isConnected) return;
+		const category = tabCategory(tab);
+		if (category && !prefs.get(CATEGORY_PREFS[category])) return;
+		if (prefs.get(UNDO_PREF)) offerUndo(tab);
+		if (category !== "grouped") {
+			animateElementClose(tab);
+			return;
 		}
+		// Closing a whole group closes its tabs one by one first. Wait until
+		// that's done and leave those to the group's own animation.
+		const group = groupOf(tab);
+		const close = prepareElementClose(tab);
+		queueMicrotask(() => {
+			const closingGroup =
+				!group.isConnected ||
+				[...group.querySelectorAll("tab")].every((t) => t.closing);
+			if (!closingGroup) close?.();
+		});
 	}
 
 	function onTabGroupRemove(event) {
-		if (!tabExplodeEnabled) return;
 		const group = event.target;
-		if (group && group.localName === "tab-group" && group.isConnected) {
+		if (isGroup(group) && group.isConnected) {
 			animateElementClose(group);
 		}
 	}
 
-	function init() {
-		injectStyles();
-		if (typeof gBrowser === "undefined" || !gBrowser.tabContainer) return;
-		gBrowser.tabContainer.addEventListener("TabClose", onTabClose, false);
-		gBrowser.tabContainer.addEventListener(
-			"TabGroupRemoved",
-			onTabGroupRemove,
-			false,
+	// Entry animations wait a frame so the new element has been laid out, and
+	// everything that came in meanwhile animates together. A bigger batch is
+	// a window or session being restored, which shouldn't light up every tab.
+	const entering = new Map(); // element → "open", "restore" or "group"
+	const entered = new WeakSet();
+	let enterFrame = 0;
+
+	function glow(element, duration) {
+		const target =
+			(element.localName === "tab" &&
+				element.querySelector(".tab-background")) ||
+			element;
+		target.animate?.(
+			[
+				{ boxShadow: "0 0 0 0 transparent" },
+				{ boxShadow: `0 0 10px 2px ${GLOW_COLOR}`, offset: 0.3 },
+				{ boxShadow: "0 0 0 0 transparent" },
+			],
+			{ duration, easing: "ease-out" },
+		);
+	}
+
+	function animateElementEnter(element, source) {
+		if (!element.isConnected || element.hidden) return;
+		entered.add(element);
+		const level = motion.level("tab.enter");
+		const style =
+			ENTER_STYLES[prefs.get(ENTER_STYLE_PREF)] ??
+			ENTER_STYLES["bubbles-glow"];
+		log.debug("tab.enter", "enter", {
+			target: element.localName,
+			source,
+			motion: level,
+		});
+		// The glow doesn't move anything, so reduced motion keeps it.
+		if (style.glow && level !== "none") glow(element, style.duration);
+		if (!style.count || level !== "full") return;
+		const rect = explosionRect(element);
+		if (!rect) return;
+		spawnParticles(
+			style,
+			rect,
+			cssVariable(document.documentElement, "--nug-accent"),
+			{ reverse: true, owner: "tab.enter" },
 		);
 	}
 
-	whenReady(init);
+	function flushEntering() {
+		enterFrame = 0;
+		const batch = [...entering];
+		entering.clear();
+		if (batch.length > ENTER_BATCH_LIMIT) {
+			log.debug("tab.enter", "skipped bulk entry", {
+				count: batch.length,
+			});
+			return;
+		}
+		for (const [element, source] of batch)
+			animateElementEnter(element, source);
+	}
+
+	function queueEnter(element, source) {
+		entering.set(element, source);
+		enterFrame ||= requestAnimationFrame(flushEntering);
+	}
+
+	function cancelEntering() {
+		cancelAnimationFrame(enterFrame);
+		enterFrame = 0;
+		entering.clear();
+	}
+
+	function onTabOpen(event) {
+		const tab = event.target;
+		if (tab.localName === "tab" && !tab.pinned) queueEnter(tab, "open");
+	}
+
+	// Fires right after TabOpen for a reopened tab, and on its own when a
+	// lazily restored tab first loads; either way only one entrance per tab.
+	function onTabRestoring(event) {
+		const tab = event.target;
+		if (tab.localName === "tab" && !tab.pinned && !entered.has(tab))
+			queueEnter(tab, "restore");
+	}
+
+	function onTabGroupCreate(event) {
+		const group = event.target;
+		if (isGroup(group)) queueEnter(group, "group");
+	}
+
+	// Registered outside the feature so it can switch the feature back on.
+	hotkeys.register({
+		id: "toggle-explode",
+		label: "Toggle exploding tabs",
+		run: () => prefs.set("nug.tab.explode", !prefs.get("nug.tab.explode")),
+	});
+
+	registerFeature({
+		id: "tab.explode",
+		enablePref: "nug.tab.explode",
+		setup(ctx) {
+			injectStyles(ctx);
+			ctx.add(() => cancelSystems("tab.explode"));
+			ctx.add(cancelUndo);
+			ctx.subscribe(UNDO_PREF, () => {
+				if (!prefs.get(UNDO_PREF)) cancelUndo();
+			});
+			ctx.add(motion.subscribe(onMotionChange, "tab.explode"));
+			if (typeof gBrowser === "undefined" || !gBrowser.tabContainer)
+				return;
+			ctx.listen(gBrowser.tabContainer, "TabClose", onTabClose);
+			ctx.listen(
+				gBrowser.tabContainer,
+				"TabGroupRemoved",
+				onTabGroupRemove,
+			);
+		},
+	});
+
+	registerFeature({
+		id: "tab.enter",
+		enablePref: "nug.tab.enter",
+		setup(ctx) {
+			ctx.add(cancelEntering);
+			ctx.add(() => cancelSystems("tab.enter"));
+			if (typeof gBrowser === "undefined" || !gBrowser.tabContainer)
+				return;
+			ctx.listen(gBrowser.tabContainer, "TabOpen", onTabOpen);
+			ctx.listen(gBrowser.tabContainer, "SSTabRestoring", onTabRestoring);
+			ctx.listen(
+				gBrowser.tabContainer,
+				"TabGroupCreate",
+				onTabGroupCreate,
+			);
+		},
+	});
 })();
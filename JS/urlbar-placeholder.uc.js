@@ -4,20 +4,203 @@
 // @include        *browser.xhtml
 // ==/UserScript==
 
+// The text comes from nug.urlbar.placeholder and may use these tokens:
+//   {workspace}  name of the active Zen workspace
+//   {container}  container of the selected tab
+//   {engine}     default search engine
+//   {time}       current time, HH:MM
+// Unknown tokens are left as typed. A token with nothing to show (no
+// container, say) drops out with a separator next to it, so
+// "{workspace} / {container} / {engine}" reads "Home / DuckDuckGo". An empty
+// pref, or a template that renders to nothing, hands the placeholder back to
+// Firefox.
+//
+// nug.urlbar.placeholder.map overrides the text per container or workspace:
+//   Work=Heads down; Personal=Off the clock ({time})
+// Names match case-insensitively; the selected tab's container is checked
+// before the workspace. Any text may list phrases separated by "|", which
+// rotate on each urlbar focus or every nug.urlbar.placeholder.rotate seconds.
+
 (function () {
 	if (location.href !== "chrome://browser/content/browser.xhtml") return;
 
-	const PLACEHOLDER = "What it is";
+	const { prefs } = window.Nug;
+
+	const TEMPLATE_PREF = "nug.urlbar.placeholder";
+	const MAP_PREF = "nug.urlbar.placeholder.map";
+	const ROTATE_PREF = "nug.urlbar.placeholder.rotate";
+	const TOKEN_RE = /\{(\w+)\}/g;
+	// Stands in for a token that resolved to nothing until it's cleaned up.
+	const EMPTY = "\uE000";
+	// An empty token and the spaced-out punctuation (" / ", " · ") on one side.
+	const EMPTY_TOKEN_RE = /\s+[^\w\s{}]+\s+\uE000|\uE000\s+[^\w\s{}]+\s+|\uE000/g;
+	const CLOCK_INTERVAL_MS = 15 * 1000;
+
+	let ContextualIdentityService;
+
+	function containerName(tab) {
+		const id = parseInt(tab?.getAttribute("usercontextid") || "0", 10);
+		if (!id) return "";
+		ContextualIdentityService ??= ChromeUtils.importESModule(
+			"resource://gre/modules/ContextualIdentityService.sys.mjs",
+		).ContextualIdentityService;
+		return (
+			ContextualIdentityService.getUserContextLabel?.(id) ??
+			ContextualIdentityService.getPublicIdentities().find((i) => i.userContextId === id)
+				?.name
+		);
+	}
+
+	const TOKENS = {
+		workspace: () => window.gZenWorkspaces?.getActiveWorkspaceFromCache?.()?.name,
+		container: () => containerName(gBrowser.selectedTab),
+		engine: () => Services.search.defaultEngine?.name,
+		time: () =>
+			new Date().toLocaleTimeString([], {
+				hour: "2-digit",
+				minute: "2-digit",
+			}),
+	};
+
+	function resolveToken(token) {
+		try {
+			return TOKENS[token]() ?? "";
+		} catch (e) {
+			return "";
+		}
+	}
+
+	function renderPlaceholder(template) {
+		return template
+			.replace(TOKEN_RE, (match, token) =>
+				Object.hasOwn(TOKENS, token) ? resolveToken(token) || EMPTY : match,
+			)
+			.replace(EMPTY_TOKEN_RE, "")
+			.replace(/\(\s*\)|\[\s*\]/g, "")
+			.replace(/\s+/g, " ")
+			.trim();
+	}
+
+	// Malformed entries are skipped rather than failing the whole map.
+	function parseMap(value) {
+		const map = new Map();
+		for (const entry of value.split(";")) {
+			const i = entry.indexOf("=");
+			if (i < 1) continue;
+			map.set(entry.slice(0, i).trim().toLowerCase(), entry.slice(i + 1).trim());
+		}
+		return map;
+	}
+
+	function currentTemplate() {
+		const map = parseMap(prefs.get(MAP_PREF));
+		for (const token of ["container", "workspace"]) {
+			const name = resolveToken(token).toLowerCase();
+			if (name && map.has(name)) return map.get(name);
+		}
+		return prefs.get(TEMPLATE_PREF);
+	}
+
+	// Bumped on each rotation; picks the phrase modulo however many the
+	// current text has, so switching workspaces doesn't reset it.
+	let rotation = 0;
+
+	function currentPhrase() {
+		const phrases = currentTemplate()
+			.split("|")
+			.map((phrase) => phrase.trim())
+			.filter(Boolean);
+		return phrases.length ? phrases[rotation % phrases.length] : "";
+	}
+
+	// What Firefox last put in the attribute, and what we replaced it with.
+	let nativePlaceholder = null;
+	let applied = null;
+
+	function updatePlaceholder(input) {
+		const text = renderPlaceholder(currentPhrase());
+		if (!text) {
+			restorePlaceholder();
+			return;
+		}
+		applied = text;
+		if (input.getAttribute("placeholder") !== text) input.setAttribute("placeholder", text);
+	}
+
+	async function applyPlaceholder(ctx) {
+		const input = await ctx.waitForElement("#urlbar-input");
+		// Torn down while waiting; there's nothing to undo yet.
+		if (ctx.signal.aborted) return;
+		nativePlaceholder = input.getAttribute("placeholder");
+		const update = () => updatePlaceholder(input);
+		update();
+		// Firefox rewrites the attribute on engine changes; keep its value as
+		// the fallback and put ours back.
+		ctx.mutations(input, { attributes: true, attributeFilter: ["placeholder"] }, () => {
+			const value = input.getAttribute("placeholder");
+			if (value === applied) return;
+			nativePlaceholder = value;
+			if (applied !== null) input.setAttribute("placeholder", applied);
+		});
+
+		ctx.subscribe([TEMPLATE_PREF, MAP_PREF], update);
+		ctx.listen(gBrowser.tabContainer, "TabSelect", update);
+		ctx.observe("browser-search-engine-modified", update);
+		const workspaces = window.gZenWorkspaces;
+		if (workspaces?.addChangeListeners) {
+			workspaces.addChangeListeners(update);
+			ctx.add(() => workspaces.removeChangeListeners?.(update));
+		}
+		// Only tick while the template shows the time.
+		let clock = 0;
+		const syncClock = () => {
+			const wanted = [TEMPLATE_PREF, MAP_PREF].some((name) =>
+				prefs.get(name).includes("{time}"),
+			);
+			if (wanted && !clock) {
+				clock = setInterval(update, CLOCK_INTERVAL_MS);
+			} else if (!wanted && clock) {
+				clearInterval(clock);
+				clock = 0;
+			}
+		};
+		syncClock();
+		ctx.subscribe([TEMPLATE_PREF, MAP_PREF], syncClock);
+		ctx.add(() => clearInterval(clock));
+
+		const rotate = () => {
+			rotation++;
+			update();
+		};
+		let rotateTimer = 0;
+		const syncRotation = () => {
+			clearInterval(rotateTimer);
+			const seconds = prefs.get(ROTATE_PREF);
+			rotateTimer = seconds ? setInterval(rotate, seconds * 1000) : 0;
+		};
+		syncRotation();
+		ctx.subscribe(ROTATE_PREF, syncRotation);
+		ctx.add(() => clearInterval(rotateTimer));
+		ctx.listen(input, "focus", () => {
+			if (!prefs.get(ROTATE_PREF)) rotate();
+		});
+	}
 
-	function applyPlaceholder() {
+	// Hand the attribute back to Firefox. It rewrites it itself on the next
+	// engine change; until then the value we replaced is the right one.
+	function restorePlaceholder() {
+		applied = null;
 		const input = document.getElementById("urlbar-input");
-		if (!input) return;
-		input.setAttribute("placeholder", PLACEHOLDER);
-		new MutationObserver(() => {
-			if (input.getAttribute("placeholder") !== PLACEHOLDER)
-				input.setAttribute("placeholder", PLACEHOLDER);
-		}).observe(input, { attributes: true, attributeFilter: ["placeholder"] });
+		if (!input || nativePlaceholder === null) return;
+		input.setAttribute("placeholder", nativePlaceholder);
 	}
 
-	window.Nug.whenReady(applyPlaceholder);
+	window.Nug.registerFeature({
+		id: "urlbar.placeholder",
+		enablePref: "nug.urlbar.placeholder.enabled",
+		setup: applyPlaceholder,
+		teardown(ctx, reason) {
+			if (reason === "disabled") restorePlaceholder();
+		},
+	});
 })();
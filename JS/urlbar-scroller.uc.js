@@ -1,30 +1,199 @@
 // ==UserScript==
 // @name           Global URL Bar Scroller
-// @description    Makes normal URL bar results scrollable. Customizable via about:config (Strings).
+// @description    Makes normal URL bar results scrollable. Row limit and height via nug.urlbar.scroller.* prefs.
 // @include        *browser.xhtml
 // ==/UserScript==
 
 (function () {
 	if (location.href !== "chrome://browser/content/browser.xhtml") return;
 
-	const { whenReady, injectStyle } = window.Nug;
+	const { registerFeature, prefs, motion, log } = window.Nug;
 
 	const CONFIG = {
 		URLBAR_ID: "urlbar",
 		URLBAR_RESULTS_ID: "urlbar-results",
-		MANUAL_ROW_HEIGHT_PX: 51, // <--- Your desired manual row height
-		VISIBLE_RESULTS_LIMIT: 5, // The number of results to show before scrolling
+		ROWS_PREF: "nug.urlbar.scroller.rows", // The number of results to show before scrolling
+		ROW_HEIGHT_PREF: "nug.urlbar.scroller.row-height", // 0 measures the rendered rows
+		FALLBACK_ROW_HEIGHT_PX: 51, // Used in auto mode until rows have been laid out
+		LOAD_CAP_PREF: "nug.urlbar.scroller.max-results", // Hard cap for load-more; 0 turns it off
+		LOAD_TIMEOUT_MS: 1500, // Give up on a load that never changed the rows
+		PALETTE_ROWS_PREF: "nug.urlbar.scroller.palette-rows", // Command palette row limit; 0 leaves it to Zen
+		PALETTE_CLASS: "zen-urlbar-palette-script",
+		PALETTE_HEADER_CLASS: "nug-urlbar-palette-header",
 		SCROLLABLE_CLASS: "zen-urlbar-scrollable-script",
 		DEBOUNCE_DELAY_MS: 50,
+		HEIGHT_ANIMATION_MS: 180,
 	};
 
-	CONFIG.INITIAL_CAP_HEIGHT_PX = CONFIG.VISIBLE_RESULTS_LIMIT * CONFIG.MANUAL_ROW_HEIGHT_PX;
+	const visibleLimit = (pref = prefs.get) => pref(CONFIG.ROWS_PREF);
+	const manualRowHeight = (pref = prefs.get) => pref(CONFIG.ROW_HEIGHT_PREF);
+	const paletteLimit = (pref = prefs.get) => pref(CONFIG.PALETTE_ROWS_PREF);
+	const initialCapHeight = (pref = prefs.get, limit = visibleLimit(pref)) =>
+		limit * (manualRowHeight(pref) || CONFIG.FALLBACK_ROW_HEIGHT_PX);
+
+	// The Zen command palette (prefix mode) has its own row limit and counts
+	// every row, since its commands aren't ordinary results.
+	function currentMode() {
+		const palette = window.ZenCommandPalette?.provider?._isInPrefixMode ?? false;
+		return palette
+			? { palette, limit: paletteLimit(), rowSelector: ".urlbarView-row:not([hidden])" }
+			: { palette, limit: visibleLimit(), rowSelector: '.urlbarView-row:not([type="tip"], [type="dynamic"])' };
+	}
+
+	// Height of rows laid out top to bottom, gaps and margins included, so
+	// rows with descriptions or a denser layout are never cut in half. 0 when
+	// they haven't been laid out yet.
+	function measureRows(rows) {
+		if (!rows.length) return 0;
+		const first = rows[0].getBoundingClientRect();
+		const last = rows[rows.length - 1];
+		const { marginBottom } = last.ownerDocument.defaultView.getComputedStyle(last);
+		const height = last.getBoundingClientRect().bottom - first.top + (parseFloat(marginBottom) || 0);
+		return height > 0 ? Math.ceil(height) : 0;
+	}
+
+	function rowsHeight(rows) {
+		const manual = manualRowHeight();
+		if (manual) return rows.length * manual;
+		return measureRows(rows) || rows.length * CONFIG.FALLBACK_ROW_HEIGHT_PX;
+	}
 
 	let urlbarElement, resultsElement;
 	let updateTimeout = null;
 	let lastResultCount = -1;
-	let mutationObserver = null;
-	let urlbarAttributeObserver = null;
+	let lastHeight = 0;
+	let lastPalette = false;
+	let scrollBehavior = "smooth";
+	let animateHeight = true;
+	let heightAnimation = null;
+
+	function resetResults() {
+		clearTimeout(updateTimeout);
+		heightAnimation?.cancel();
+		resetLoadMore();
+		resultsElement.classList.remove(CONFIG.SCROLLABLE_CLASS, CONFIG.PALETTE_CLASS);
+		resultsElement.style.removeProperty("height");
+		resultsElement.style.removeProperty("max-height");
+		resultsElement.style.removeProperty("overflow-y");
+		resultsElement.scrollTop = 0;
+		lastResultCount = -1;
+		updatePaletteHeader();
+	}
+
+	// Group labels are drawn by their first row (::before), so they scroll away
+	// with it; this overlay repeats the label of the group scrolled past the top.
+	let paletteHeader = null;
+
+	function updatePaletteHeader() {
+		if (!paletteHeader) return;
+		let label = "";
+		if (resultsElement.classList.contains(CONFIG.PALETTE_CLASS)) {
+			const top = resultsElement.getBoundingClientRect().top;
+			for (const row of resultsElement.querySelectorAll(".urlbarView-row[label]:not([hidden])")) {
+				if (row.getBoundingClientRect().top >= top) break;
+				label = row.getAttribute("label");
+			}
+		}
+		paletteHeader.textContent = label;
+		paletteHeader.hidden = !label;
+		if (label) paletteHeader.style.top = `${resultsElement.offsetTop}px`;
+	}
+
+	// Loading more: the urlbar sizes every query by browser.urlbar.maxRichResults.
+	// Scrolling to the bottom re-runs the query asking for that many more rows
+	// (up to the cap) by raising maxResults on the query context itself, so the
+	// user's pref is never written. Firefox keeps the rows it already shows and
+	// appends the rest. A new search string or closing the panel starts over.
+	const MAX_RESULTS_PREF = "browser.urlbar.maxRichResults";
+	let queryMaxResults = 0; // What queries are asked for while loading more, 0 when not
+	let loadMore = null; // { maxResults, scrollTop, timer } while a load is in flight
+	let resultsExhausted = false;
+	let hooked = null; // { controller, startQuery, listener } once a load has run
+
+	// Every row the urlbar shows counts toward maxRichResults, tips included.
+	const shownRowCount = () => resultsElement.querySelectorAll(".urlbarView-row:not([hidden])").length;
+
+	// UrlbarInput builds the query context from the pref, then hands it to the
+	// controller; raise it there, and hear back when the query is done.
+	function hookController(controller) {
+		if (hooked?.controller === controller) return;
+		unhookController();
+		const own = Object.hasOwn(controller, "startQuery");
+		const { startQuery } = controller;
+		controller.startQuery = function (queryContext, ...args) {
+			if (queryMaxResults && queryContext) {
+				queryContext.maxResults = Math.max(queryContext.maxResults ?? 0, queryMaxResults);
+			}
+			return startQuery.call(this, queryContext, ...args);
+		};
+		const listener = { onQueryFinished: finishLoadMore };
+		controller.addQueryListener(listener);
+		hooked = { controller, own, startQuery, listener };
+	}
+
+	function unhookController() {
+		if (!hooked) return;
+		const { controller, own, startQuery, listener } = hooked;
+		if (own) controller.startQuery = startQuery;
+		else delete controller.startQuery;
+		controller.removeQueryListener(listener);
+		hooked = null;
+	}
+
+	function resetLoadMore() {
+		clearTimeout(loadMore?.timer);
+		loadMore = null;
+		resultsExhausted = false;
+		queryMaxResults = 0;
+	}
+
+	function loadMoreResults(rowCount) {
+		const cap = prefs.get(CONFIG.LOAD_CAP_PREF);
+		const controller = window.gURLBar?.controller;
+		if (!cap || loadMore || resultsExhausted || !controller) return;
+		const step = Services.prefs.getIntPref(MAX_RESULTS_PREF, 10);
+		const current = queryMaxResults || step;
+		if (current >= cap || rowCount < current) return;
+		const next = Math.min(cap, current + step);
+		log.debug("urlbar.scroller", "load more", { rows: rowCount, maxResults: next });
+		hookController(controller);
+		queryMaxResults = next;
+		loadMore = {
+			maxResults: next,
+			scrollTop: resultsElement.scrollTop,
+			timer: setTimeout(() => {
+				loadMore = null;
+				resultsExhausted = true;
+			}, CONFIG.LOAD_TIMEOUT_MS),
+		};
+		try {
+			gURLBar.startQuery({
+				allowAutofill: false,
+				searchString: gURLBar._lastSearchString ?? gURLBar.value,
+			});
+		} catch (e) {
+			log.warn("urlbar.scroller", "load more failed", e);
+			resetLoadMore();
+		}
+	}
+
+	// Called by the controller when a query has returned all its rows. One that
+	// came back with fewer rows than it asked for has nothing more to give.
+	function finishLoadMore(queryContext) {
+		if (!loadMore || (queryContext?.maxResults ?? 0) < loadMore.maxResults) return;
+		clearTimeout(loadMore.timer);
+		resultsExhausted = (queryContext.results?.length ?? 0) < loadMore.maxResults;
+		resultsElement.scrollTop = loadMore.scrollTop;
+		loadMore = null;
+	}
+
+	function onResultsScroll() {
+		updatePaletteHeader();
+		if (currentMode().palette) return;
+		const { scrollTop, clientHeight, scrollHeight } = resultsElement;
+		if (scrollTop + clientHeight < scrollHeight - CONFIG.FALLBACK_ROW_HEIGHT_PX) return;
+		loadMoreResults(shownRowCount());
+	}
 
 	function updateViewState() {
 		if (!resultsElement || !urlbarElement) return;
@@ -32,14 +201,17 @@
 		clearTimeout(updateTimeout);
 
 		updateTimeout = setTimeout(() => {
-			const isCommandModeActive = window.ZenCommandPalette?.provider?._isInPrefixMode ?? false;
-			if (isCommandModeActive) {
-				resultsElement.classList.remove(CONFIG.SCROLLABLE_CLASS);
+			const mode = currentMode();
+			if (mode.palette && !mode.limit) {
+				resultsElement.classList.remove(CONFIG.SCROLLABLE_CLASS, CONFIG.PALETTE_CLASS);
 				resultsElement.style.removeProperty("height");
 				resultsElement.style.removeProperty("max-height");
 				resultsElement.style.removeProperty("overflow-y");
+				lastResultCount = -1;
+				updatePaletteHeader();
 				return;
 			}
+			resultsElement.classList.toggle(CONFIG.PALETTE_CLASS, mode.palette);
 
 			const isUrlbarOpen = urlbarElement.hasAttribute("open");
 			const isUserTyping = urlbarElement.hasAttribute("usertyping");
@@ -56,111 +228,246 @@
 				resultsElement.style.removeProperty("overflow-y");
 				resultsElement.scrollTop = 0;
 				lastResultCount = -1;
+				updatePaletteHeader();
 				return;
 			}
 
 			if (isUrlbarOpen && !isUrlbarViewVisibleByCSS) {
 				if (!resultsElement.style.height) {
-					resultsElement.style.height = `${CONFIG.INITIAL_CAP_HEIGHT_PX}px`;
+					resultsElement.style.height = `${initialCapHeight(prefs.get, mode.limit)}px`;
 					resultsElement.style.overflowY = "hidden";
 				}
 				return;
 			}
 
-			resultsElement.style.removeProperty("max-height");
+			// The stylesheet caps auto mode at fallback-sized rows until they are
+			// sized here; measured rows may be taller, so lift the cap.
+			if (manualRowHeight()) resultsElement.style.removeProperty("max-height");
+			else resultsElement.style.setProperty("max-height", "none", "important");
 
-			const resultRows = resultsElement.querySelectorAll('.urlbarView-row:not([type="tip"], [type="dynamic"])');
+			const resultRows = resultsElement.querySelectorAll(mode.rowSelector);
 			const currentResultCount = resultRows.length;
 
-			if (currentResultCount === lastResultCount && lastResultCount !== -1) {
+			const { limit } = mode;
+			// Measured rows can change height while the count stays the same.
+			const targetHeight = rowsHeight([...resultRows].slice(0, limit));
+
+			if (
+				currentResultCount === lastResultCount &&
+				targetHeight === lastHeight &&
+				mode.palette === lastPalette &&
+				lastResultCount !== -1
+			) {
+				// Same rows, but the selection may have moved.
+				scrollSelectedIntoView(resultRows);
+				updatePaletteHeader();
 				return;
 			}
 			lastResultCount = currentResultCount;
+			lastHeight = targetHeight;
+			lastPalette = mode.palette;
 
-			const isScrollable = currentResultCount > CONFIG.VISIBLE_RESULTS_LIMIT;
+			const isScrollable = currentResultCount > limit;
 			resultsElement.classList.toggle(CONFIG.SCROLLABLE_CLASS, isScrollable);
 
-			const targetHeight = isScrollable
-				? CONFIG.VISIBLE_RESULTS_LIMIT * CONFIG.MANUAL_ROW_HEIGHT_PX
-				: currentResultCount * CONFIG.MANUAL_ROW_HEIGHT_PX;
-
-			resultsElement.style.height = `${targetHeight}px`;
+			log.debug("urlbar.scroller", "resize", {
+				palette: mode.palette,
+				results: currentResultCount,
+				scrollable: isScrollable,
+				height: targetHeight,
+			});
+			setResultsHeight(targetHeight);
 			resultsElement.style.overflowY = isScrollable ? "auto" : "hidden";
 
-			// Auto-scroll to selected row
-			for (const row of resultRows) {
-				if (row.hasAttribute("selected")) {
-					row.scrollIntoView({ block: "nearest", behavior: "smooth" });
-					break;
-				}
-			}
+			scrollSelectedIntoView(resultRows);
+			updatePaletteHeader();
 		}, CONFIG.DEBOUNCE_DELAY_MS);
 	}
 
-	function setupListeners() {
-		mutationObserver = new MutationObserver(() => {
-			updateViewState();
-		});
-		mutationObserver.observe(resultsElement, {
-			childList: true,
-			subtree: true,
-			attributes: true,
-			attributeFilter: ["selected"],
-		});
+	// Animate from whatever height is on screen, mid-animation included. While
+	// results stream in, a running animation is replaced by one that starts
+	// where it had got to and ends when it would have, so the panel neither
+	// jumps back to an older height nor keeps restarting its animation.
+	function setResultsHeight(targetHeight) {
+		// Computed style includes the running animation's current value.
+		const from = parseFloat(getComputedStyle(resultsElement).height) || 0;
+		const remaining = heightAnimation
+			? heightAnimation.effect.getTiming().duration - (heightAnimation.currentTime ?? 0)
+			: 0;
+		heightAnimation?.cancel();
+		resultsElement.style.height = `${targetHeight}px`;
+		if (!animateHeight || !resultsElement.animate || !from || Math.abs(from - targetHeight) < 1) return;
+		const animation = (heightAnimation = resultsElement.animate(
+			[{ height: `${from}px` }, { height: `${targetHeight}px` }],
+			{ duration: remaining > 0 ? remaining : CONFIG.HEIGHT_ANIMATION_MS, easing: "ease-out" },
+		));
+		const done = () => {
+			if (heightAnimation === animation) heightAnimation = null;
+		};
+		animation.finished.then(done, done);
+	}
 
-		urlbarAttributeObserver = new MutationObserver((mutations) => {
+	function scrollSelectedIntoView(rows) {
+		for (const row of rows) {
+			if (row.hasAttribute("selected")) {
+				row.scrollIntoView({ block: "nearest", behavior: scrollBehavior });
+				break;
+			}
+		}
+	}
+
+	// PageUp/PageDown move the selection by the visible page size, clamping at
+	// the ends first and wrapping around from there. Home/End jump to the first
+	// and last result; while typing they need accel so the caret keys still work.
+	// The "selected" mutation then scrolls the row into view above.
+	function onKeyDown(event) {
+		const view = window.gURLBar?.view;
+		if (!view || !urlbarElement.hasAttribute("open")) return;
+		if (event.altKey || event.shiftKey) return;
+		const accel = AppConstants.platform === "macosx" ? event.metaKey : event.ctrlKey;
+		const rows = [...resultsElement.querySelectorAll(".urlbarView-row:not([hidden])")];
+		if (!rows.length) return;
+		const last = rows.length - 1;
+		const current = rows.findIndex((row) => row.hasAttribute("selected"));
+		const page = currentMode().limit || visibleLimit();
+
+		let target;
+		switch (event.key) {
+			case "PageDown":
+				if (accel) return;
+				target = current === last ? 0 : Math.min(current + page, last);
+				break;
+			case "PageUp":
+				if (accel) return;
+				target = current <= 0 ? last : Math.max(current - page, 0);
+				break;
+			case "Home":
+			case "End":
+				if (!accel && urlbarElement.hasAttribute("usertyping")) return;
+				target = event.key === "Home" ? 0 : last;
+				break;
+			default:
+				return;
+		}
+		event.preventDefault();
+		event.stopPropagation();
+		if (target === current) return;
+		log.debug("urlbar.scroller", "navigate", { key: event.key, from: current, to: target });
+		// The view indexes every row, hidden ones included.
+		view.selectedRowIndex = [...resultsElement.querySelectorAll(".urlbarView-row")].indexOf(rows[target]);
+	}
+
+	function setupListeners(ctx) {
+		ctx.mutations(
+			resultsElement,
+			{
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter: ["selected"],
+			},
+			() => {
+				updateViewState();
+			},
+		);
+
+		ctx.mutations(urlbarElement, { attributes: true, attributeFilter: ["usertyping", "open"] }, (mutations) => {
 			for (const mutation of mutations) {
 				if (mutation.attributeName === "usertyping" || mutation.attributeName === "open") {
 					updateViewState();
 				}
 			}
 		});
-		urlbarAttributeObserver.observe(urlbarElement, { attributes: true, attributeFilter: ["usertyping", "open"] });
-
-		urlbarElement.addEventListener("popuphidden", () => {
-			clearTimeout(updateTimeout);
-			resultsElement.classList.remove(CONFIG.SCROLLABLE_CLASS);
-			resultsElement.style.removeProperty("height");
-			resultsElement.style.removeProperty("max-height");
-			resultsElement.style.removeProperty("overflow-y");
-			resultsElement.scrollTop = 0;
-			lastResultCount = -1;
-		});
+
+		ctx.listen(urlbarElement, "popuphidden", resetResults);
+		ctx.listen(resultsElement, "scroll", onResultsScroll, { passive: true });
+		// A new search string starts over at the user's result count; capturing
+		// lets this run before UrlbarInput starts the query for it.
+		ctx.listen(urlbarElement, "input", resetLoadMore, true);
+		// Capturing on #urlbar runs ahead of UrlbarInput's own keydown handling.
+		ctx.listen(urlbarElement, "keydown", onKeyDown, true);
 	}
 
-	function initialize() {
-		urlbarElement = document.getElementById(CONFIG.URLBAR_ID);
-		resultsElement = document.getElementById(CONFIG.URLBAR_RESULTS_ID);
-		if (!urlbarElement || !resultsElement) return;
+	async function initialize(ctx) {
+		// Torn down while waiting: the elements may have resolved anyway.
+		urlbarElement = await ctx.waitForElement(`#${CONFIG.URLBAR_ID}`);
+		if (ctx.signal.aborted) return;
+		resultsElement = await ctx.waitForElement(`#${CONFIG.URLBAR_RESULTS_ID}`);
+		if (ctx.signal.aborted) return;
 
-		injectStyle(
+		ctx.style(
 			"zen-urlbar-animated-height-styles-css-controlled",
-			`
+			(pref) => `
         #${CONFIG.URLBAR_RESULTS_ID} {
           /* Cap initial height to prevent flicker */
-          max-height: ${CONFIG.INITIAL_CAP_HEIGHT_PX}px !important;
+          max-height: ${initialCapHeight(pref)}px !important;
           overflow-y: hidden !important;
 
         }
         #${CONFIG.URLBAR_RESULTS_ID}.${CONFIG.SCROLLABLE_CLASS} {
           overflow-y: auto !important;
         }
+        #${CONFIG.URLBAR_RESULTS_ID}.${CONFIG.PALETTE_CLASS} {
+          max-height: ${initialCapHeight(pref, paletteLimit(pref))}px !important;
+        }
+        .urlbarView-body-inner:has(> .${CONFIG.PALETTE_HEADER_CLASS}) {
+          position: relative;
+        }
+        .${CONFIG.PALETTE_HEADER_CLASS} {
+          position: absolute;
+          inset-inline: 0;
+          z-index: 1;
+          padding: 4px 12px;
+          font-size: 0.85em;
+          font-weight: 600;
+          color: var(--subtext0);
+          background-color: var(--base);
+          pointer-events: none;
+        }
+        .${CONFIG.PALETTE_HEADER_CLASS}[hidden] {
+          display: none;
+        }
       `,
 		);
 
-		setupListeners();
-		updateViewState();
+		const applyMotion = (level) => {
+			scrollBehavior = level === "full" ? "smooth" : "instant";
+			animateHeight = level === "full";
+			if (!animateHeight) heightAnimation?.cancel();
+		};
+		applyMotion(motion.level("urlbar.scroller"));
+		ctx.add(motion.subscribe(applyMotion, "urlbar.scroller"));
+		// The results' own CSS transitions follow the same level.
+		ctx.reflectMotion(resultsElement);
 
-		window.addEventListener(
-			"unload",
-			() => {
-				mutationObserver?.disconnect();
-				urlbarAttributeObserver?.disconnect();
-				clearTimeout(updateTimeout);
-			},
-			{ once: true },
-		);
+		paletteHeader = document.createElement("div");
+		paletteHeader.className = CONFIG.PALETTE_HEADER_CLASS;
+		paletteHeader.hidden = true;
+		resultsElement.before(paletteHeader);
+		ctx.add(() => {
+			paletteHeader.remove();
+			paletteHeader = null;
+		});
+
+		setupListeners(ctx);
+		ctx.subscribe([CONFIG.ROWS_PREF, CONFIG.ROW_HEIGHT_PREF, CONFIG.PALETTE_ROWS_PREF], () => {
+			lastResultCount = -1;
+			updateViewState();
+		});
+		updateViewState();
+		ctx.add(() => clearTimeout(updateTimeout));
+		ctx.add(resetLoadMore);
+		ctx.add(unhookController);
+		ctx.add(() => heightAnimation?.cancel());
 	}
 
-	whenReady(initialize);
+	registerFeature({
+		id: "urlbar.scroller",
+		enablePref: "nug.urlbar.scroller.enabled",
+		setup: initialize,
+		teardown(ctx, reason) {
+			// Leave the results panel the way Firefox sizes it on its own.
+			if (reason === "disabled" && resultsElement) resetResults();
+		},
+	});
 })();
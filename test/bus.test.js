@@ -0,0 +1,64 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+test("a publish reaches every window, the publisher included", () => {
+	const proc = createProcess();
+	const a = proc.openWindow();
+	const b = proc.openWindow();
+	const seen = [];
+	a.Nug.bus.subscribe("demo", (data, { source }) =>
+		seen.push(["a", data, source]),
+	);
+	b.Nug.bus.subscribe("demo", (data, { source }) =>
+		seen.push(["b", data, source]),
+	);
+	b.Nug.bus.subscribe("other", () => seen.push(["other"]));
+	a.Nug.bus.publish("demo", 1);
+	const id = a.docShell.outerWindowID;
+	assert.deepEqual(seen, [
+		["a", 1, id],
+		["b", 1, id],
+	]);
+});
+
+test("unsubscribing stops later publishes, not the one in progress", () => {
+	const { Nug } = createProcess().openWindow();
+	const seen = [];
+	let unsubscribeSecond;
+	Nug.bus.subscribe("demo", () => {
+		seen.push("first");
+		unsubscribeSecond();
+	});
+	unsubscribeSecond = Nug.bus.subscribe("demo", () => seen.push("second"));
+	Nug.bus.publish("demo");
+	assert.deepEqual(seen, ["first", "second"]);
+	Nug.bus.publish("demo");
+	assert.deepEqual(seen, ["first", "second", "first"]);
+});
+
+test("a failing handler is logged and doesn't stop the others", () => {
+	const { Nug } = createProcess().openWindow();
+	const seen = [];
+	Nug.bus.subscribe("demo", () => {
+		throw new Error("boom");
+	});
+	Nug.bus.subscribe("demo", (data) => seen.push(data));
+	Nug.bus.publish("demo", "ok");
+	assert.deepEqual(seen, ["ok"]);
+	const [entry] = Nug.log.entries({ feature: "bus", level: "error" });
+	assert.equal(entry.event, '"demo" handler failed');
+});
+
+test("a closed window's subscriptions are dropped", () => {
+	const proc = createProcess();
+	const a = proc.openWindow();
+	const b = proc.openWindow();
+	const seen = [];
+	b.Nug.bus.subscribe("demo", () => seen.push("b"));
+	proc.closeWindow(b);
+	a.Nug.bus.publish("demo");
+	assert.deepEqual(seen, []);
+});
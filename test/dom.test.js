@@ -0,0 +1,135 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+test("waitForElement resolves with elements that are already there", async () => {
+	const win = createProcess().openWindow();
+	const input = await win.Nug.waitForElement("#urlbar-input");
+	assert.equal(input.id, "urlbar-input");
+});
+
+test("waitForElement resolves once the element is inserted", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	const pending = win.Nug.waitForElement("#late-panel");
+	await proc.tick();
+	const panel = win.document.createElement("div");
+	panel.id = "late-panel";
+	win.document.getElementById("browser").append(panel);
+	assert.equal(await pending, panel);
+});
+
+test("waitForElement matches attributes added after insertion", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	const urlbar = win.document.getElementById("urlbar");
+	const pending = win.Nug.waitForElement("#urlbar[open]");
+	urlbar.setAttribute("open", "");
+	assert.equal(await pending, urlbar);
+});
+
+test("waitForElement rejects on timeout and on abort", async () => {
+	const win = createProcess().openWindow();
+	await assert.rejects(
+		win.Nug.waitForElement("#never", { timeout: 20 }),
+		/timed out waiting for #never/,
+	);
+	const abort = new win.AbortController();
+	const pending = win.Nug.waitForElement("#never", { signal: abort.signal });
+	abort.abort(new Error("gone"));
+	await assert.rejects(pending, /gone/);
+});
+
+test("observers disconnect when the window unloads", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	const urlbar = win.document.getElementById("urlbar");
+	let calls = 0;
+	win.Nug.observe(urlbar, { attributes: true }, () => calls++);
+	urlbar.setAttribute("open", "");
+	await proc.tick();
+	assert.equal(calls, 1);
+	proc.closeWindow(win);
+	urlbar.removeAttribute("open");
+	await proc.tick();
+	assert.equal(calls, 1);
+});
+
+test("feature contexts stop waiting when the feature is disabled", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	win.Nug.prefs.define([
+		{ property: "nug.test.waiter", type: "checkbox", defaultValue: true },
+	]);
+	let waiting;
+	win.Nug.registerFeature({
+		id: "test.waiter",
+		enablePref: "nug.test.waiter",
+		setup(ctx) {
+			waiting = ctx.waitForElement("#never", { timeout: 0 });
+		},
+	});
+	proc.prefs.set("nug.test.waiter", false);
+	await assert.rejects(waiting);
+});
+
+test("injectStyle updates and removes styles by id", () => {
+	const win = createProcess().openWindow();
+	const { injectStyle, removeStyle } = win.Nug;
+	const node = injectStyle("nug-test-style", "#urlbar { color: red; }");
+	assert.equal(node.parentNode, win.document.head);
+	assert.equal(
+		injectStyle("nug-test-style", "#urlbar { color: blue; }"),
+		node,
+	);
+	assert.equal(node.textContent, "#urlbar { color: blue; }");
+	assert.equal(win.document.querySelectorAll("#nug-test-style").length, 1);
+	removeStyle("nug-test-style");
+	assert.equal(win.document.getElementById("nug-test-style"), null);
+});
+
+test("template styles re-render when the prefs they read change", () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	const node = win.Nug.injectStyle(
+		"nug-test-style",
+		(pref) => `:root { --flavor: ${pref("nug-catppuccin-flavor")}; }`,
+	);
+	assert.equal(node.textContent, ":root { --flavor: 0; }");
+	proc.prefs.set("nug-catppuccin-flavor", 1);
+	assert.equal(node.textContent, ":root { --flavor: 1; }");
+	win.Nug.removeStyle("nug-test-style");
+	proc.prefs.set("nug-catppuccin-flavor", 0);
+	assert.equal(node.textContent, ":root { --flavor: 1; }");
+});
+
+test("styles can go into other documents", () => {
+	const win = createProcess().openWindow();
+	const doc = win.document.implementation.createHTMLDocument("dialog");
+	const node = win.Nug.injectStyle("nug-test-style", "p {}", { doc });
+	assert.equal(node.ownerDocument, doc);
+	assert.equal(node.parentNode, doc.documentElement);
+	assert.equal(win.document.getElementById("nug-test-style"), null);
+	win.Nug.removeStyle("nug-test-style", { doc });
+	assert.equal(doc.getElementById("nug-test-style"), null);
+});
+
+test("feature styles are removed when the feature stops", () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	win.Nug.prefs.define([
+		{ property: "nug.test.styled", type: "checkbox", defaultValue: true },
+	]);
+	win.Nug.registerFeature({
+		id: "test.styled",
+		enablePref: "nug.test.styled",
+		setup(ctx) {
+			ctx.style("nug-test-style", "p {}");
+		},
+	});
+	assert.ok(win.document.getElementById("nug-test-style"));
+	proc.prefs.set("nug.test.styled", false);
+	assert.equal(win.document.getElementById("nug-test-style"), null);
+});
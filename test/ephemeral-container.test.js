@@ -0,0 +1,146 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const SCRIPTS = ["nug-core", "ephemeral-container"];
+const EPHEMERAL = { name: "Ephemeral", userContextId: 5 };
+const WORK = { name: "Work", userContextId: 2 };
+
+function setup(options = {}) {
+	return createProcess({ containers: [EPHEMERAL, WORK], ...options });
+}
+
+test("wipes once at launch, not again for later windows", () => {
+	const proc = setup();
+	proc.openWindow(SCRIPTS);
+	proc.openWindow(SCRIPTS);
+	assert.deepEqual(proc.wipes, [5]);
+});
+
+test("closing the last ephemeral tab wipes the container", async () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	const tab = win.gBrowser.addTab({ userContextId: 5 });
+	win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, [5]);
+});
+
+test("no wipe while another ephemeral tab is still open", async () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	const tab = win.gBrowser.addTab({ userContextId: 5 });
+	win.gBrowser.addTab({ userContextId: 5 });
+	win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, []);
+});
+
+test("ephemeral tabs in another window also prevent the wipe", async () => {
+	const proc = setup();
+	const a = proc.openWindow(SCRIPTS);
+	const b = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	b.gBrowser.addTab({ userContextId: 5 });
+	const tab = a.gBrowser.addTab({ userContextId: 5 });
+	a.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, []);
+});
+
+test("closing several ephemeral tabs in one tick wipes once", async () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	const tabs = [1, 2, 3].map(() => win.gBrowser.addTab({ userContextId: 5 }));
+	for (const tab of tabs) win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, [5]);
+});
+
+test("other containers are left alone", async () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	const tab = win.gBrowser.addTab({ userContextId: 2 });
+	assert.equal(tab.linkedBrowser.browsingContext.useGlobalHistory, true);
+	win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, []);
+});
+
+test("ephemeral tabs don't record history, including lazy ones", () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	const tab = win.gBrowser.addTab({ userContextId: 5 });
+	assert.equal(tab.linkedBrowser.browsingContext.useGlobalHistory, false);
+	assert.equal(
+		tab.linkedBrowser.getAttribute("disableglobalhistory"),
+		"true",
+	);
+
+	const lazy = win.gBrowser.addTab({ userContextId: 5, pending: true });
+	assert.equal(lazy.linkedBrowser.browsingContext.useGlobalHistory, true);
+	win.gBrowser.insertBrowser(lazy);
+	assert.equal(lazy.linkedBrowser.browsingContext.useGlobalHistory, false);
+});
+
+test("dry run logs the wipe without doing it", async () => {
+	const proc = setup({ prefs: { "nug.ephemeral.dryrun": true } });
+	const win = proc.openWindow(SCRIPTS);
+	const tab = win.gBrowser.addTab({ userContextId: 5 });
+	win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, []);
+	const events = win.Nug.log.entries({ feature: "ephemeral" });
+	assert.ok(events.some((e) => e.event === "WIPE site-data"));
+});
+
+test("closing a window wipes when no ephemeral tabs remain elsewhere", () => {
+	const proc = setup();
+	const a = proc.openWindow(SCRIPTS);
+	const b = proc.openWindow(SCRIPTS);
+	a.gBrowser.addTab({ userContextId: 5 });
+	proc.wipes.length = 0;
+	proc.closeWindow(a);
+	assert.deepEqual(proc.wipes, [5]);
+	proc.closeWindow(b);
+	assert.deepEqual(proc.wipes, [5]);
+});
+
+test("disabling the feature stops wiping without a restart", async () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	proc.prefs.set("nug.ephemeral.enabled", false);
+	const tab = win.gBrowser.addTab({ userContextId: 5 });
+	assert.equal(tab.linkedBrowser.browsingContext.useGlobalHistory, true);
+	win.gBrowser.removeTab(tab);
+	await proc.tick();
+	assert.deepEqual(proc.wipes, []);
+});
+
+test("the wipe shortcut does nothing until it's bound", () => {
+	const proc = setup();
+	const win = proc.openWindow(SCRIPTS);
+	proc.wipes.length = 0;
+	const press = () =>
+		win.document.dispatchEvent(
+			new win.KeyboardEvent("keydown", {
+				code: "KeyW",
+				ctrlKey: true,
+				altKey: true,
+				shiftKey: true,
+				bubbles: true,
+			}),
+		);
+	press();
+	assert.deepEqual(proc.wipes, []);
+	proc.prefs.set("nug.keys.wipe-ephemeral", "accel+alt+shift+W");
+	press();
+	assert.deepEqual(proc.wipes, [5]);
+});
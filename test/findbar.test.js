@@ -0,0 +1,536 @@
+"use strict";
+
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { pathToFileURL } = require("node:url");
+const { JSDOM } = require("jsdom");
+const { createProcess } = require("./harness");
+
+const SCRIPTS = ["nug-core", "findbar"];
+// How long typing in regex mode waits before searching.
+const FIND_DELAY_MS = 100;
+const CHILD = path.join(
+	__dirname,
+	"..",
+	"JS",
+	"actors",
+	"NugFindChild.sys.mjs",
+);
+
+const PAGE = `<body>
+	<p>Version <b>1</b>.2 and 3.4</p>
+	<p>released 5.</p><p>6 later</p>
+	<script>var v = "7.8";</script>
+</body>`;
+
+// The child module expects the actor globals of a content process.
+let NugFindChild;
+before(async () => {
+	globalThis.JSWindowActorChild = class {};
+	globalThis.Ci = {
+		nsIInterfaceRequestor: {},
+		nsISelectionDisplay: {},
+		nsISelectionController: {
+			SELECTION_NORMAL: "normal",
+			SELECTION_FIND: "find",
+			SELECTION_ATTENTION: "attention",
+			SELECTION_WHOLE_SELECTION: 0,
+			SCROLL_CENTER_VERTICALLY: 0,
+		},
+	};
+	({ NugFindChild } = await import(pathToFileURL(CHILD).href));
+});
+
+// A child actor over a jsdom page, with the selections it paints recorded as
+// text per selection type.
+function createChild(html = PAGE) {
+	const { document } = new JSDOM(html).window;
+	const selections = new Map();
+	const controller = {
+		QueryInterface: () => controller,
+		getInterface: () => controller,
+		getSelection(type) {
+			if (!selections.has(type)) {
+				const ranges = [];
+				selections.set(type, {
+					ranges,
+					removeAllRanges: () => (ranges.length = 0),
+					addRange: (range) => ranges.push(range),
+				});
+			}
+			return selections.get(type);
+		},
+		setDisplaySelection() {},
+		repaintSelection() {},
+		scrollSelectionIntoView() {},
+	};
+	const child = new NugFindChild();
+	child.document = document;
+	child.docShell = controller;
+	const painted = (type) =>
+		(selections.get(type)?.ranges ?? []).map((range) => range.toString());
+	return { child, painted };
+}
+
+const find = (child, data) =>
+	child.receiveMessage({
+		name: "NugFind:Regex",
+		data: { flags: "g", highlightAll: false, limit: 1000, ...data },
+	});
+
+test("patterns match across inline elements but not across blocks", () => {
+	const { child, painted } = createChild();
+	const result = find(child, { source: "\\d\\.\\d", highlightAll: true });
+	assert.deepEqual(result, {
+		current: 1,
+		total: 2,
+		limit: 1000,
+		wrapped: false,
+	});
+	assert.deepEqual(painted("find"), ["1.2", "3.4"]);
+	assert.deepEqual(painted("normal"), ["1.2"]);
+	// "5." and "6" are separate paragraphs, and script text isn't page text.
+	assert.equal(find(child, { source: "5\\.6|7\\.8" }).total, 0);
+	assert.deepEqual(painted("find"), []);
+});
+
+test("finding again steps through the matches and wraps", () => {
+	const { child, painted } = createChild();
+	find(child, { source: "\\d" });
+	assert.equal(find(child, { source: "\\d", again: true }).current, 2);
+	const back = find(child, {
+		source: "\\d",
+		again: true,
+		findPrevious: true,
+	});
+	assert.equal(back.current, 1);
+	const wrapped = find(child, {
+		source: "\\d",
+		again: true,
+		findPrevious: true,
+	});
+	assert.deepEqual(wrapped, {
+		current: 6,
+		total: 6,
+		limit: 1000,
+		wrapped: true,
+	});
+	assert.deepEqual(painted("normal"), ["6"]);
+	// Typing more keeps the current match while it still matches.
+	const typed = find(child, { source: "\\d " });
+	assert.deepEqual([typed.current, typed.total], [2, 2]);
+	assert.deepEqual(painted("normal"), ["6 "]);
+});
+
+test("counts past the limit are reported as -1", () => {
+	const { child } = createChild();
+	assert.deepEqual(find(child, { source: "\\d", limit: 3 }), {
+		current: 1,
+		total: -1,
+		limit: 3,
+		wrapped: false,
+	});
+	assert.match(
+		find(child, { source: "(" }).error,
+		/Invalid regular expression/,
+	);
+});
+
+// Let a tab's page answer NugFind queries from a real child.
+function servePage(tab, html, queries = []) {
+	const page = createChild(html);
+	tab.linkedBrowser.browsingContext.currentWindowGlobal = {
+		getActor: (name) => ({
+			async sendQuery(message, data) {
+				queries.push({ name, message, data });
+				return page.child.receiveMessage({ name: message, data });
+			},
+			sendAsyncMessage: (message) =>
+				page.child.receiveMessage({ name: message }),
+		}),
+	};
+	return page;
+}
+
+// A window with the findbar open on a tab showing PAGE.
+async function open(prefs = {}) {
+	const proc = createProcess({
+		prefs: { "nug.findbar.regex": true, ...prefs },
+	});
+	const win = proc.openWindow(SCRIPTS);
+	await proc.tick();
+	const tab = win.gBrowser.addTab();
+	const queries = [];
+	const page = servePage(tab, PAGE, queries);
+	const findbar = win.gBrowser.initFindBar(tab);
+	findbar.open();
+	const type = async (text) => {
+		findbar._findField.value = text;
+		findbar._find(text);
+		await proc.tick(FIND_DELAY_MS);
+	};
+	return { proc, win, findbar, page, queries, type };
+}
+
+test("the actor is registered once per process under resource://nug", async () => {
+	const { proc } = await open();
+	proc.openWindow(SCRIPTS);
+	await proc.tick();
+	assert.deepEqual([...proc.actors.keys()], ["NugFind"]);
+	const { child, messageManagerGroups } = proc.actors.get("NugFind");
+	assert.equal(
+		child.esModuleURI,
+		"resource://nug/JS/actors/NugFindChild.sys.mjs",
+	);
+	assert.deepEqual(Array.from(messageManagerGroups), ["browsers"]);
+	assert.equal(
+		proc.substitutions.get("nug"),
+		pathToFileURL(path.join(__dirname, "..")).href + "/",
+	);
+});
+
+test("the actor modules are listed in theme.json so they ship", async () => {
+	const { proc } = await open();
+	const theme = require("../theme.json");
+	const shipped = Object.keys(theme.scripts.JS).map((file) => `JS/${file}`);
+	const { parent, child } = proc.actors.get("NugFind");
+	for (const { esModuleURI } of [parent, child])
+		assert.ok(
+			shipped.includes(esModuleURI.replace("resource://nug/", "")),
+			esModuleURI,
+		);
+});
+
+test("regex mode feeds the compact indicator instead of the native finder", async () => {
+	const { findbar, queries, type } = await open();
+	await type("[0-9]\\.");
+	assert.equal(findbar._tinyIndicator.textContent, "1/3");
+	assert.equal(queries[0].name, "NugFind");
+	assert.equal(queries[0].data.flags, "gi");
+	assert.deepEqual(findbar.nativeCalls, []);
+	findbar.onFindAgainCommand(false);
+	await new Promise((resolve) => setTimeout(resolve));
+	assert.equal(findbar._tinyIndicator.textContent, "2/3");
+	// Typeahead find stays plain text.
+	findbar.open(findbar.FIND_TYPEAHEAD);
+	findbar._find("x");
+	assert.deepEqual(Array.from(findbar.nativeCalls[0]), ["_find", "x"]);
+});
+
+test("typing searches once it pauses, and only the latest query counts", async () => {
+	const { proc, findbar, queries, page } = await open();
+	for (const text of ["[", "[0", "[0-9]"]) {
+		findbar._findField.value = text;
+		findbar._find(text);
+		await proc.tick(FIND_DELAY_MS / 2);
+	}
+	assert.deepEqual(queries, []);
+	await proc.tick(FIND_DELAY_MS);
+	assert.deepEqual(
+		queries.map((query) => query.data.source),
+		["[0-9]"],
+	);
+	assert.equal(findbar._tinyIndicator.textContent, "1/6");
+
+	// Stepping twice quickly: the page answers both, in order, but only the
+	// second answer is shown.
+	const pending = [];
+	const { receiveMessage } = page.child;
+	page.child.receiveMessage = (message) =>
+		new Promise((resolve) =>
+			pending.push(() =>
+				resolve(receiveMessage.call(page.child, message)),
+			),
+		);
+	findbar.onFindAgainCommand(false);
+	findbar.onFindAgainCommand(false);
+	pending[0]();
+	await proc.tick();
+	assert.equal(findbar._tinyIndicator.textContent, "1/6");
+	pending[1]();
+	await proc.tick();
+	assert.equal(findbar._tinyIndicator.textContent, "3/6");
+
+	// Closing drops a search still waiting to run.
+	const sent = queries.length;
+	findbar._findField.value = "\\d";
+	findbar._find("\\d");
+	findbar.close();
+	await proc.tick(FIND_DELAY_MS * 2);
+	assert.equal(queries.length, sent);
+});
+
+test("highlight all paints every match", async () => {
+	const { proc, findbar, page, type } = await open();
+	await type("\\d");
+	assert.deepEqual(page.painted("find"), []);
+	findbar.toggleHighlight(true);
+	await proc.tick();
+	assert.equal(findbar._highlightAll, true);
+	assert.equal(page.painted("find").length, 6);
+	findbar.close();
+	assert.deepEqual(page.painted("find"), []);
+});
+
+test("case sensitivity follows the findbar, with auto keyed on capitals", async () => {
+	const { findbar, queries, type } = await open();
+	findbar._typeAheadCaseSensitive = 2;
+	await type("\\d\\S");
+	assert.equal(queries.at(-1).data.flags, "gi");
+	await type("V\\w+");
+	assert.equal(queries.at(-1).data.flags, "g");
+	assert.equal(findbar._tinyIndicator.textContent, "1/1");
+});
+
+test("an invalid pattern is reported inline", async () => {
+	const { findbar, queries, type } = await open();
+	const error = findbar.querySelector(".findbar-nug-regex-error");
+	assert.equal(error.hidden, true);
+	await type("(\\d");
+	assert.equal(error.hidden, false);
+	assert.match(error.getAttribute("value"), /Invalid regular expression/);
+	assert.equal(findbar._findField.getAttribute("status"), "notfound");
+	assert.equal(findbar._tinyIndicator.getAttribute("empty"), "true");
+	assert.deepEqual(queries, []);
+	await type("(\\d)");
+	assert.equal(error.hidden, true);
+	assert.equal(findbar._tinyIndicator.textContent, "1/6");
+});
+
+test("the toggle and the context menu switch the pref", async () => {
+	const { proc, win, findbar, type } = await open({
+		"nug.findbar.regex": false,
+	});
+	const toggle = findbar.querySelector(".findbar-nug-regex");
+	assert.equal(toggle.getAttribute("checked"), "false");
+	await type("\\d");
+	assert.deepEqual(Array.from(findbar.nativeCalls[0]), ["_find", "\\d"]);
+
+	toggle.dispatchEvent(new win.Event("command"));
+	assert.equal(proc.prefs.getBoolPref("nug.findbar.regex"), true);
+	assert.equal(toggle.getAttribute("checked"), "true");
+	// Switching on re-runs the open findbar's search as a pattern.
+	await proc.tick();
+	assert.equal(findbar._tinyIndicator.textContent, "1/6");
+
+	const item = win.document.getElementById("findbar-menu-regex");
+	item.dispatchEvent(new win.Event("command", { bubbles: true }));
+	assert.equal(proc.prefs.getBoolPref("nug.findbar.regex"), false);
+	assert.deepEqual(Array.from(findbar.nativeCalls.at(-1)), [
+		"_find",
+		undefined,
+	]);
+});
+
+test("disabling the mods removes the regex controls and overrides", async () => {
+	const { proc, findbar, page, type } = await open();
+	await type("\\d");
+	const patched = findbar._find;
+	proc.prefs.set("nug.findbar.mods.enabled", false);
+	assert.equal(findbar.querySelector(".findbar-nug-regex"), null);
+	assert.equal(findbar.querySelector(".findbar-nug-regex-error"), null);
+	assert.notEqual(findbar._find, patched);
+	assert.equal(page.child.current, null);
+});
+
+test("search reports counts and snippets without moving the selection", () => {
+	const { child, painted } = createChild(
+		`<p>${"filler ".repeat(10)}the cat sat on the cat mat</p><p>cat</p>`,
+	);
+	const result = child.receiveMessage({
+		name: "NugFind:Search",
+		data: { source: "cat", flags: "g", limit: 1000, snippets: 2 },
+	});
+	assert.deepEqual(result, {
+		total: 3,
+		limit: 1000,
+		matches: [
+			{
+				index: 0,
+				before: "filler filler filler filler filler the ",
+				match: "cat",
+				after: " sat on the cat mat",
+			},
+			{
+				index: 1,
+				before: "filler filler filler the cat sat on the ",
+				match: "cat",
+				after: " mat",
+			},
+		],
+	});
+	assert.deepEqual(painted("normal"), []);
+	const over = child.receiveMessage({
+		name: "NugFind:Search",
+		data: { source: "cat", flags: "g", limit: 2, snippets: 0 },
+	});
+	assert.deepEqual(over, { total: -1, limit: 2, matches: [] });
+});
+
+// Add a tab per page to a window.
+function addPages(win, pages) {
+	return pages.map((html) => {
+		const tab = win.gBrowser.addTab();
+		servePage(tab, html);
+		return tab;
+	});
+}
+
+// Run find in all tabs from the findbar's button, and read back the panel.
+async function searchAll({ proc, win, findbar, type }, text) {
+	await type(text);
+	findbar
+		.querySelector(".findbar-nug-all-tabs")
+		.dispatchEvent(new win.Event("command"));
+	await proc.tick();
+	const panel = win.document.getElementById("nug-find-all-panel");
+	const entries = [...panel.querySelectorAll(".nug-find-all-tab")].map(
+		(entry) => ({
+			count: entry
+				.querySelector(".nug-find-all-count")
+				.getAttribute("value"),
+			snippets: [...entry.querySelectorAll(".nug-find-all-snippet")].map(
+				(snippet) => snippet.textContent,
+			),
+		}),
+	);
+	const header = panel
+		.querySelector(".nug-find-all-header")
+		.getAttribute("value");
+	return { panel, entries, header };
+}
+
+test("find in all tabs lists each tab with its matches", async () => {
+	const opened = await open({ "nug.findbar.regex": false });
+	addPages(opened.win, [
+		"<p>a.b and a.b</p>",
+		"<p>nothing here</p>",
+		"<p>axb a.b</p>",
+	]);
+	const { panel, entries, header } = await searchAll(opened, "a.b");
+	assert.equal(panel.state, "open");
+	assert.equal(panel.anchorNode, opened.findbar);
+	assert.equal(header, "3 matches in 2 tabs");
+	// Regex mode is off, so the dot is literal: "axb" isn't a match.
+	assert.deepEqual(entries, [
+		{ count: "2", snippets: ["a.b and a.b", "a.b and a.b"] },
+		{ count: "1", snippets: ["axb a.b"] },
+	]);
+	assert.equal(
+		panel.querySelector(".nug-find-all-snippet mark").textContent,
+		"a.b",
+	);
+	const none = await searchAll(opened, "zzz");
+	assert.equal(none.header, "No matches in open tabs");
+});
+
+test("choosing a result opens that tab's findbar on the match", async () => {
+	const opened = await open();
+	const { proc, win } = opened;
+	const tabs = addPages(win, ["<p>x1 x2</p>", "<p>x3 x4 x5</p>"]);
+	const { panel } = await searchAll(opened, "x\\d");
+	const snippets = panel.querySelectorAll(".nug-find-all-snippet");
+	assert.equal(snippets.length, 5);
+	snippets[4].dispatchEvent(new win.MouseEvent("click", { bubbles: true }));
+	await proc.tick();
+	assert.equal(panel.state, "closed");
+	assert.equal(win.gBrowser.selectedTab, tabs[1]);
+	const findbar = win.gBrowser.getCachedFindBar(tabs[1]);
+	assert.equal(findbar.hidden, false);
+	assert.equal(findbar._findField.value, "x\\d");
+	assert.equal(findbar._tinyIndicator.textContent, "3/3");
+});
+
+test("with regex mode off, a chosen result is found as plain text", async () => {
+	const opened = await open({ "nug.findbar.regex": false });
+	const { proc, win } = opened;
+	const tabs = addPages(win, ["<p>a.b axb</p>", "<p>axb a.b a.b</p>"]);
+	const { panel } = await searchAll(opened, "a.b");
+	const snippets = panel.querySelectorAll(".nug-find-all-snippet");
+	assert.equal(snippets.length, 3);
+	snippets[2].dispatchEvent(new win.MouseEvent("click", { bubbles: true }));
+	await proc.tick();
+	assert.equal(win.gBrowser.selectedTab, tabs[1]);
+	const findbar = win.gBrowser.getCachedFindBar(tabs[1]);
+	assert.equal(findbar._findField.value, "a.b");
+	// As a pattern, "axb" would have made it 3/3.
+	assert.equal(findbar._tinyIndicator.textContent, "2/2");
+});
+
+test("with regex mode off, whole words and diacritics follow the findbar", async () => {
+	const opened = await open({ "nug.findbar.regex": false });
+	const { proc, win } = opened;
+	const [tab] = addPages(win, ["<p>Café cafe cafeteria café</p>"]);
+	const count = async (text) => (await searchAll(opened, text)).entries;
+
+	// By default accents are ignored, like the native finder.
+	assert.equal((await count("cafe"))[0].count, "4");
+	// Firefox keeps these in prefs, so every findbar agrees.
+	proc.findbarClass(win).prototype._entireWord = true;
+	assert.equal((await count("cafe"))[0].count, "3");
+	// Snippets show the page's own text, accents and all.
+	const mark = win.document.querySelector(".nug-find-all-snippet mark");
+	assert.equal(mark.textContent, "Café");
+	proc.prefs.set("findbar.matchdiacritics", 1);
+	assert.equal((await count("cafe"))[0].count, "1");
+	proc.prefs.set("findbar.matchdiacritics", 2);
+	assert.equal((await count("café"))[0].count, "2");
+	assert.equal((await count("cafe"))[0].count, "3");
+
+	// The jump finds the same matches.
+	const { panel } = await searchAll(opened, "café");
+	panel
+		.querySelector(".nug-find-all-snippet")
+		.dispatchEvent(new win.MouseEvent("click", { bubbles: true }));
+	await proc.tick();
+	const findbar = win.gBrowser.getCachedFindBar(tab);
+	assert.equal(findbar._tinyIndicator.textContent, "1/2");
+});
+
+test("only loaded tabs in the active workspace are searched", async () => {
+	const opened = await open();
+	const { win } = opened;
+	win.gZenWorkspaces = { activeWorkspace: "home" };
+	const [home, work, essential] = addPages(win, [
+		"<p>hit home</p>",
+		"<p>hit work</p>",
+		"<p>hit essential</p>",
+	]);
+	home.setAttribute("zen-workspace-id", "home");
+	work.setAttribute("zen-workspace-id", "work");
+	essential.setAttribute("zen-essential", "true");
+	const pending = win.gBrowser.addTab({ pending: true });
+	pending.setAttribute("zen-workspace-id", "home");
+	servePage(pending, "<p>hit pending</p>");
+	const { entries } = await searchAll(opened, "hit \\w+");
+	assert.deepEqual(
+		entries.map(({ snippets }) => snippets[0]),
+		["hit home", "hit essential"],
+	);
+});
+
+test("other windows are searched with the pref on, private ones apart", async () => {
+	const opened = await open({ "nug.findbar.alltabs.windows": true });
+	const { proc, win } = opened;
+	addPages(win, ["<p>here</p>"]);
+	const other = proc.openWindow(SCRIPTS);
+	const secret = proc.openWindow(SCRIPTS, { isPrivate: true });
+	await proc.tick();
+	const [there] = addPages(other, ["<p>there</p>"]);
+	addPages(secret, ["<p>secret</p>"]);
+	const { panel, entries } = await searchAll(opened, "[a-z]+");
+	assert.deepEqual(
+		entries.map(({ snippets }) => snippets[0]),
+		["Version 1.2 and 3.4", "here", "there"],
+	);
+	// Choosing a match in another window goes through that window's findbar.
+	const snippets = panel.querySelectorAll(".nug-find-all-snippet");
+	snippets[snippets.length - 1].dispatchEvent(
+		new win.KeyboardEvent("keydown", { key: "Enter", bubbles: true }),
+	);
+	await proc.tick();
+	assert.equal(other.gBrowser.selectedTab, there);
+	const findbar = other.gBrowser.getCachedFindBar(there);
+	assert.equal(findbar._tinyIndicator.textContent, "1/1");
+});
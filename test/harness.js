@@ -0,0 +1,584 @@
+// Headless harness for the Nug userscripts. Each script is evaluated into a
+// jsdom window dressed up as browser.xhtml, with just enough of the chrome
+// globals faked (Services, ChromeUtils, gBrowser, findbars) for the code paths
+// the tests cover. Services is per "process" and shared by every window opened
+// from it, the same as in Firefox, so cross-window behaviour can be tested too.
+//
+//   const proc = createProcess({ prefs: { "nug.ephemeral.dryrun": true } });
+//   const win = proc.openWindow(["nug-core", "ephemeral-container"]);
+//   const tab = win.gBrowser.addTab({ userContextId: 5 });
+//   win.gBrowser.removeTab(tab);
+//   await proc.tick();
+
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { pathToFileURL, fileURLToPath } = require("node:url");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.resolve(__dirname, "..");
+const BROWSER_URL = "chrome://browser/content/browser.xhtml";
+
+const BROWSER_HTML = `<!DOCTYPE html>
+<html id="main-window">
+<head></head>
+<body>
+	<keyset id="mainKeyset"></keyset>
+	<div id="mainPopupSet"></div>
+	<div id="browser">
+		<div id="urlbar">
+			<input id="urlbar-input" placeholder="Search or enter address" />
+			<div id="urlbar-results" style="opacity: 1"></div>
+		</div>
+		<div id="tabbrowser-tabs"></div>
+	</div>
+</body>
+</html>`;
+
+const PREF_INVALID = 0;
+const PREF_STRING = 32;
+const PREF_INT = 64;
+const PREF_BOOL = 128;
+
+function prefTypeOf(value) {
+	if (typeof value === "boolean") return PREF_BOOL;
+	if (Number.isInteger(value)) return PREF_INT;
+	if (typeof value === "string") return PREF_STRING;
+	throw new TypeError(`can't store ${JSON.stringify(value)} as a pref`);
+}
+
+// nsIPrefBranch over a Map. Only user values exist (Sine doesn't register
+// defaults), so an unset pref read without a fallback throws like Firefox.
+function createPrefs(initial) {
+	const values = new Map();
+	const observers = [];
+
+	const notify = (name) => {
+		for (const { prefix, observer } of [...observers]) {
+			if (!name.startsWith(prefix)) continue;
+			if (typeof observer === "function")
+				observer(null, "nsPref:changed", name);
+			else observer.observe(null, "nsPref:changed", name);
+		}
+	};
+	const getter = (type) => (name, fallback) => {
+		const entry = values.get(name);
+		if (!entry) {
+			if (fallback === undefined)
+				throw new Error(`NS_ERROR_UNEXPECTED: no pref "${name}"`);
+			return fallback;
+		}
+		if (entry.type !== type)
+			throw new Error(`NS_ERROR_UNEXPECTED: "${name}" has another type`);
+		return entry.value;
+	};
+	const setter = (type) => (name, value) => {
+		const entry = values.get(name);
+		if (entry && entry.type !== type)
+			throw new Error(`NS_ERROR_UNEXPECTED: "${name}" has another type`);
+		// Firefox coerces setIntPref("1") the same way.
+		values.set(name, {
+			type,
+			value: type === PREF_INT ? Number(value) : value,
+		});
+		notify(name);
+	};
+
+	const prefs = {
+		PREF_INVALID,
+		PREF_STRING,
+		PREF_INT,
+		PREF_BOOL,
+		getBoolPref: getter(PREF_BOOL),
+		getIntPref: getter(PREF_INT),
+		getStringPref: getter(PREF_STRING),
+		setBoolPref: setter(PREF_BOOL),
+		setIntPref: setter(PREF_INT),
+		setStringPref: setter(PREF_STRING),
+		getPrefType: (name) => values.get(name)?.type ?? PREF_INVALID,
+		prefHasUserValue: (name) => values.has(name),
+		clearUserPref(name) {
+			if (values.delete(name)) notify(name);
+		},
+		getChildList: (prefix) =>
+			[...values.keys()].filter((name) => name.startsWith(prefix)),
+		addObserver(prefix, observer) {
+			observers.push({ prefix, observer });
+		},
+		removeObserver(prefix, observer) {
+			const i = observers.findIndex(
+				(o) => o.prefix === prefix && o.observer === observer,
+			);
+			if (i !== -1) observers.splice(i, 1);
+		},
+		// Test helper: set any pref, picking the type from the JS value.
+		set(name, value) {
+			setter(prefTypeOf(value))(name, value);
+		},
+	};
+	for (const [name, value] of Object.entries(initial)) prefs.set(name, value);
+	return prefs;
+}
+
+function createObserverService() {
+	const topics = new Map();
+	return {
+		addObserver(observer, topic) {
+			if (!topics.has(topic)) topics.set(topic, new Set());
+			topics.get(topic).add(observer);
+		},
+		removeObserver(observer, topic) {
+			topics.get(topic)?.delete(observer);
+		},
+		notifyObservers(subject, topic, data) {
+			for (const observer of [...(topics.get(topic) ?? [])]) {
+				if (typeof observer === "function")
+					observer(subject, topic, data);
+				else observer.observe(subject, topic, data);
+			}
+		},
+		count: (topic) => topics.get(topic)?.size ?? 0,
+	};
+}
+
+// The bits of <findbar> that findbar.uc.js touches or overrides.
+function createFindbarClass(win) {
+	const proto = Object.create(win.HTMLElement.prototype);
+	Object.assign(proto, {
+		FIND_NORMAL: 0,
+		FIND_TYPEAHEAD: 1,
+		FIND_LINKS: 2,
+		findMode: 0,
+		_highlightAll: false,
+		_entireWord: false,
+		_typeAheadCaseSensitive: 0,
+		_updateFindUI() {},
+		onMatchesCountResult(result) {
+			this._lastNativeResult = result;
+		},
+		// The native finder, reduced to a record of what was asked of it.
+		_find(value) {
+			this.nativeCalls.push(["_find", value]);
+		},
+		onFindAgainCommand(findPrevious) {
+			this.nativeCalls.push(["onFindAgainCommand", findPrevious]);
+		},
+		toggleHighlight(highlight) {
+			this.nativeCalls.push(["toggleHighlight", highlight]);
+			this._setHighlightAll(highlight);
+		},
+		_updateMatchesCount() {
+			this.nativeCalls.push(["_updateMatchesCount"]);
+		},
+		_setHighlightAll(highlight) {
+			this._highlightAll = highlight;
+		},
+		_updateStatusUI(status, findPrevious) {
+			this._lastStatus = { status, findPrevious };
+		},
+		getElement(id) {
+			return this.querySelector(`[anonid="${id}"]`);
+		},
+		open(mode = 0) {
+			this.findMode = mode;
+			this.hidden = false;
+		},
+		close() {
+			this.hidden = true;
+		},
+	});
+	return { prototype: proto };
+}
+
+// nsIFilePicker answering with proc.pickPath (null cancels), recording what
+// each picker was opened for.
+function createFilePicker(proc) {
+	const picker = {
+		defaultString: "",
+		filters: [],
+		init(_browsingContext, title, mode) {
+			Object.assign(picker, { title, mode });
+		},
+		appendFilter(title, filter) {
+			picker.filters.push(filter);
+		},
+		open(callback) {
+			proc.pickers.push(picker);
+			const path = proc.pickPath;
+			picker.file = path === null ? null : { path };
+			callback(path === null ? 1 /* returnCancel */ : 0);
+		},
+	};
+	return picker;
+}
+
+function createTabBrowser(win, proc) {
+	const doc = win.document;
+	const findbars = new Map();
+
+	const gBrowser = {
+		tabContainer: doc.getElementById("tabbrowser-tabs"),
+		tabs: [],
+		get selectedTab() {
+			return gBrowser.tabs.find((t) => t.selected) ?? gBrowser.tabs[0];
+		},
+		set selectedTab(tab) {
+			for (const t of gBrowser.tabs) t.selected = t === tab;
+			tab.dispatchEvent(new win.Event("TabSelect", { bubbles: true }));
+		},
+		addTab({
+			userContextId = 0,
+			url = "about:blank",
+			pending = false,
+			pinned = false,
+		} = {}) {
+			const tab = doc.createElement("tab");
+			if (userContextId)
+				tab.setAttribute("usercontextid", String(userContextId));
+			if (pending) tab.setAttribute("pending", "true");
+			tab.pinned = pinned;
+			const attributes = new Map();
+			tab.linkedBrowser = {
+				currentURI: { spec: url },
+				browsingContext: { useGlobalHistory: true },
+				setAttribute: (name, value) => attributes.set(name, value),
+				getAttribute: (name) => attributes.get(name) ?? null,
+			};
+			gBrowser.tabContainer.appendChild(tab);
+			gBrowser.tabs.push(tab);
+			tab.dispatchEvent(new win.Event("TabOpen", { bubbles: true }));
+			if (!pending) gBrowser.insertBrowser(tab);
+			return tab;
+		},
+		// A lazy tab becoming real.
+		insertBrowser(tab) {
+			tab.removeAttribute("pending");
+			tab.dispatchEvent(
+				new win.Event("TabBrowserInserted", { bubbles: true }),
+			);
+		},
+		// TabClose fires while the tab is still in gBrowser.tabs, flagged closing.
+		removeTab(tab) {
+			tab.closing = true;
+			tab.dispatchEvent(new win.Event("TabClose", { bubbles: true }));
+			gBrowser.tabs.splice(gBrowser.tabs.indexOf(tab), 1);
+			tab.remove();
+		},
+		isFindBarInitialized: (tab) => findbars.has(tab),
+		getFindBar: async (tab = gBrowser.selectedTab) =>
+			gBrowser.initFindBar(tab),
+		getCachedFindBar: (tab) => findbars.get(tab) ?? null,
+		initFindBar(tab) {
+			if (findbars.has(tab)) return findbars.get(tab);
+			const findbar = doc.createElement("findbar");
+			Object.setPrototypeOf(findbar, proc.findbarClass(win).prototype);
+			findbar.innerHTML = `<div class="findbar-container">
+				<input class="findbar-textbox" anonid="findbar-textbox" />
+				<label anonid="found-matches"></label>
+			</div>`;
+			findbar._foundMatches = findbar.querySelector(
+				'[anonid="found-matches"]',
+			);
+			findbar._findField = findbar.querySelector(
+				'[anonid="findbar-textbox"]',
+			);
+			findbar.browser = tab.linkedBrowser;
+			findbar.nativeCalls = [];
+			doc.getElementById("browser").appendChild(findbar);
+			findbars.set(tab, findbar);
+			tab._findBar = findbar;
+			tab.dispatchEvent(
+				new win.Event("TabFindInitialized", { bubbles: true }),
+			);
+			return findbar;
+		},
+	};
+	return gBrowser;
+}
+
+function createProcess({
+	prefs = {},
+	containers = [],
+	reducedMotion = false,
+} = {}) {
+	const windows = [];
+	const findbarClasses = new WeakMap();
+	const motionListeners = new Set();
+	const privateWindows = new WeakSet();
+	let nextWindowId = 1;
+
+	const proc = {
+		windows,
+		containers: [...containers],
+		// Every Services.clearData wipe, as the userContextId it targeted.
+		wipes: [],
+		// ChromeUtils.registerWindowActor calls, and resource:// substitutions.
+		actors: new Map(),
+		substitutions: new Map(),
+		// Files written through IOUtils, by path.
+		files: new Map(),
+		// What the scripts printed, per console method.
+		console: { log: [], warn: [], error: [] },
+		// Path the file picker returns (null cancels), and each picker opened.
+		pickPath: null,
+		pickers: [],
+		// Answer for Services.prompt.confirm, and what was asked.
+		confirmResult: true,
+		prompts: [],
+		reducedMotion,
+
+		tick: (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms)),
+
+		setReducedMotion(value) {
+			proc.reducedMotion = value;
+			for (const listener of [...motionListeners])
+				listener({ matches: value });
+		},
+
+		findbarClass(win) {
+			if (!findbarClasses.has(win))
+				findbarClasses.set(win, createFindbarClass(win));
+			return findbarClasses.get(win);
+		},
+
+		// Open a browser window and evaluate the named scripts (file names in JS/
+		// without .uc.js) in order. With startup: false, delayed startup hasn't
+		// finished yet; call proc.finishStartup(win) to fire it. isPrivate makes
+		// PrivateBrowsingUtils report it as a private window.
+		openWindow(
+			scripts = ["nug-core"],
+			{ startup = true, isPrivate = false } = {},
+		) {
+			const dom = new JSDOM(BROWSER_HTML, {
+				url: BROWSER_URL,
+				runScripts: "outside-only",
+				pretendToBeVisual: true,
+			});
+			const win = dom.window;
+			if (isPrivate) privateWindows.add(win);
+			installChromeGlobals(win, proc, nextWindowId++, startup);
+			windows.push(win);
+			for (const name of scripts) proc.loadScript(win, name);
+			return win;
+		},
+
+		loadScript(win, name) {
+			const file = path.join(ROOT, "JS", `${name}.uc.js`);
+			win.Components.stack.filename = pathToFileURL(file).href;
+			win.eval(fs.readFileSync(file, "utf8"));
+		},
+
+		finishStartup(win) {
+			win.gBrowserInit.delayedStartupFinished = true;
+			Services.obs.notifyObservers(
+				win,
+				"browser-delayed-startup-finished",
+			);
+		},
+
+		closeWindow(win) {
+			win.dispatchEvent(new win.Event("unload"));
+			windows.splice(windows.indexOf(win), 1);
+			win.close();
+		},
+	};
+
+	const Services = {
+		prefs: createPrefs(prefs),
+		obs: createObserverService(),
+		wm: {
+			*getEnumerator(type) {
+				if (type === "navigator:browser") yield* [...windows];
+			},
+		},
+		io: {
+			newURI(spec, _charset, base) {
+				const url = new URL(spec, base?.spec);
+				return { spec: url.href, scheme: url.protocol.slice(0, -1) };
+			},
+			getProtocolHandler(scheme) {
+				if (scheme !== "resource")
+					throw new Error(`harness has no ${scheme} handler`);
+				return {
+					QueryInterface() {
+						return this;
+					},
+					hasSubstitution: (root) => proc.substitutions.has(root),
+					setSubstitution: (root, uri) =>
+						proc.substitutions.set(root, uri.spec),
+				};
+			},
+		},
+		console: { logStringMessage() {} },
+		startup: { shuttingDown: false },
+		appinfo: { name: "Zen", version: "test" },
+		search: { defaultEngine: { name: "DuckDuckGo" } },
+		clearData: {
+			deleteDataFromOriginAttributesPattern(pattern, callback) {
+				proc.wipes.push(pattern.userContextId);
+				callback?.(0);
+			},
+		},
+		prompt: {
+			alert(_win, title, text) {
+				proc.prompts.push({ type: "alert", title, text });
+			},
+			confirm(_win, title, text) {
+				proc.prompts.push({ type: "confirm", title, text });
+				return proc.confirmResult;
+			},
+		},
+	};
+	proc.Services = Services;
+	proc.prefs = Services.prefs;
+	proc.motionListeners = motionListeners;
+	proc.privateWindows = privateWindows;
+	return proc;
+}
+
+function installChromeGlobals(win, proc, outerWindowID, startup) {
+	const { Services } = proc;
+	const doc = win.document;
+
+	win.Services = Services;
+	win.Components = { stack: { filename: "" } };
+	win.Cc = {
+		"@mozilla.org/filepicker;1": {
+			createInstance: () => createFilePicker(proc),
+		},
+	};
+	win.Ci = {
+		nsIFilePicker: { modeOpen: 0, modeSave: 1, returnCancel: 1 },
+		nsIResProtocolHandler: {},
+		nsITypeAheadFind: { FIND_FOUND: 0, FIND_NOTFOUND: 1, FIND_WRAPPED: 2 },
+	};
+	win.Cu = {
+		readUTF8URI: (uri) => fs.readFileSync(fileURLToPath(uri.spec), "utf8"),
+		reportError: (e) => proc.console.error.push([String(e)]),
+	};
+	win.ChromeUtils = {
+		importESModule(url) {
+			if (url.endsWith("ContextualIdentityService.sys.mjs")) {
+				return {
+					ContextualIdentityService: {
+						getPublicIdentities: () => proc.containers,
+					},
+				};
+			}
+			throw new Error(`harness has no module ${url}`);
+		},
+		registerWindowActor(name, options) {
+			if (proc.actors.has(name))
+				throw new Error(
+					`NotSupportedError: ${name} already registered`,
+				);
+			proc.actors.set(name, options);
+		},
+		defineLazyGetter(obj, name, fn) {
+			Object.defineProperty(obj, name, {
+				configurable: true,
+				get() {
+					const value = fn.call(obj);
+					Object.defineProperty(obj, name, { value });
+					return value;
+				},
+			});
+		},
+	};
+	win.AppConstants = { platform: "linux" };
+	win.PrivateBrowsingUtils = {
+		isWindowPrivate: (w) => proc.privateWindows.has(w),
+	};
+	win.MozXULElement = { insertFTLIfNeeded() {} };
+	win.IOUtils = {
+		writeUTF8: async (file, text) => void proc.files.set(file, text),
+		readJSON: async (file) => JSON.parse(proc.files.get(file)),
+	};
+	win.docShell = { outerWindowID };
+	win.browsingContext = {};
+	win.gBrowserInit = { delayedStartupFinished: startup };
+	win.gBrowser = createTabBrowser(win, proc);
+
+	const printer =
+		(level) =>
+		(...args) =>
+			proc.console[level].push(args);
+	win.console = {
+		log: printer("log"),
+		warn: printer("warn"),
+		error: printer("error"),
+	};
+
+	// XUL popups without the layout: just the open state and its events.
+	Object.assign(win.HTMLElement.prototype, {
+		openPopup(anchor, position) {
+			this.state = "open";
+			this.anchorNode = anchor;
+			this.position = position;
+			this.dispatchEvent(new win.Event("popupshown"));
+		},
+		hidePopup() {
+			if (this.state !== "open") return;
+			this.state = "closed";
+			this.dispatchEvent(new win.Event("popuphidden"));
+		},
+	});
+
+	// Chrome nodes know their window directly.
+	Object.defineProperty(win.Node.prototype, "ownerGlobal", {
+		get() {
+			return this.ownerDocument?.defaultView ?? null;
+		},
+	});
+
+	win.matchMedia = (query) => {
+		const listeners = new Set();
+		const list = {
+			get matches() {
+				return query.includes("prefers-reduced-motion")
+					? proc.reducedMotion
+					: false;
+			},
+			addEventListener(_type, fn) {
+				listeners.add(fn);
+				proc.motionListeners.add(fn);
+			},
+			removeEventListener(_type, fn) {
+				listeners.delete(fn);
+				proc.motionListeners.delete(fn);
+			},
+		};
+		return list;
+	};
+
+	const nativeGet = win.customElements.get.bind(win.customElements);
+	win.customElements.get = (name) =>
+		name === "findbar" ? proc.findbarClass(win) : nativeGet(name);
+
+	doc.createXULElement = (tag) => doc.createElement(tag);
+	doc.l10n = {
+		formatMessages: async (ids) =>
+			ids.map((id) => ({
+				value: null,
+				attributes: [
+					{ name: "label", value: id },
+					{ name: "accesskey", value: id[0] },
+				],
+			})),
+		setAttributes(el, id) {
+			el.setAttribute("data-l10n-id", id);
+		},
+	};
+
+	win.Element.isInstance = (value) => value instanceof win.Element;
+	// jsdom doesn't lay out; record the calls instead.
+	win.scrolledIntoView = [];
+	win.Element.prototype.scrollIntoView = function (options) {
+		win.scrolledIntoView.push({ element: this, options });
+	};
+	// Nor does it have window focus to move.
+	win.focus = () => {};
+}
+
+module.exports = { createProcess, ROOT };
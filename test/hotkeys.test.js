@@ -0,0 +1,165 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+// Register one action counting its runs; the window is Linux, so accel is
+// ctrl.
+function open({ prefs, key = "accel+shift+K", startup } = {}) {
+	const proc = createProcess({ prefs });
+	const win = proc.openWindow(["nug-core"], { startup });
+	const runs = [];
+	const unregister = win.Nug.hotkeys.register({
+		id: "demo",
+		label: "Demo",
+		key,
+		run: (event) => runs.push(event.code),
+	});
+	return { proc, win, runs, unregister };
+}
+
+function press(win, code, modifiers = {}) {
+	const event = new win.KeyboardEvent("keydown", {
+		code,
+		bubbles: true,
+		cancelable: true,
+		...modifiers,
+	});
+	win.document.getElementById("urlbar-input").dispatchEvent(event);
+	return event;
+}
+
+function addKeyElement(win, attributes) {
+	const key = win.document.createElement("key");
+	for (const [name, value] of Object.entries(attributes))
+		key.setAttribute(name, value);
+	win.document.body.append(key);
+	return key;
+}
+
+// The core registers actions of its own; pick out the ones under test.
+const listed = (win, id) =>
+	win.Nug.hotkeys.list().find((action) => action.id === id);
+
+const warnings = (win) =>
+	win.Nug.log.entries({ feature: "hotkeys", level: "warn" });
+
+test("a binding runs its action on exactly that combination", () => {
+	const { win, runs } = open();
+	const event = press(win, "KeyK", { ctrlKey: true, shiftKey: true });
+	assert.deepEqual(runs, ["KeyK"]);
+	assert.equal(event.defaultPrevented, true);
+
+	press(win, "KeyK", { ctrlKey: true });
+	press(win, "KeyK", { ctrlKey: true, shiftKey: true, altKey: true });
+	press(win, "KeyK", { ctrlKey: true, shiftKey: true, repeat: true });
+	assert.equal(press(win, "KeyJ", { ctrlKey: true }).defaultPrevented, false);
+	assert.equal(runs.length, 1);
+});
+
+test("digits, F-keys and key codes parse to event codes", () => {
+	for (const [key, code, modifiers] of [
+		["alt+5", "Digit5", { altKey: true }],
+		["F5", "F5", {}],
+		["control+f12", "F12", { ctrlKey: true }],
+		["cmd+ArrowUp", "ArrowUp", { metaKey: true }],
+	]) {
+		const { win, runs } = open({ key });
+		press(win, code, modifiers);
+		assert.deepEqual(runs, [code], key);
+	}
+});
+
+test("bindings follow their pref live, and an empty one unbinds", () => {
+	const { proc, win, runs } = open();
+	proc.prefs.set("nug.keys.demo", "alt+J");
+	press(win, "KeyK", { ctrlKey: true, shiftKey: true });
+	press(win, "KeyJ", { altKey: true });
+	assert.deepEqual(runs, ["KeyJ"]);
+	const [rebound] = win.Nug.log.entries({ feature: "hotkeys" });
+	assert.equal(rebound.event, "rebound");
+
+	proc.prefs.set("nug.keys.demo", "");
+	press(win, "KeyJ", { altKey: true });
+	assert.equal(runs.length, 1);
+	assert.equal(listed(win, "demo").binding, "");
+});
+
+test("bindings that don't parse are rejected", () => {
+	const { win } = open();
+	for (const binding of ["hyper+K", "accel+", "ctrl+shift"])
+		assert.throws(
+			() => win.Nug.prefs.set("nug.keys.demo", binding),
+			{ name: "TypeError" },
+			binding,
+		);
+	win.Nug.prefs.set("nug.keys.demo", "");
+});
+
+test("conflicts with <key> elements and other actions are reported", () => {
+	const { proc, win } = open({ startup: false });
+	addKeyElement(win, {
+		id: "key_native",
+		key: "k",
+		modifiers: "accel,shift",
+	});
+	addKeyElement(win, {
+		id: "key_off",
+		key: "k",
+		modifiers: "accel,shift",
+		disabled: "true",
+	});
+	win.Nug.hotkeys.register({
+		id: "twin",
+		label: "Twin",
+		key: "ctrl+shift+K",
+		run() {},
+	});
+	// Checked once the window has finished starting up.
+	assert.equal(warnings(win).length, 0);
+	proc.finishStartup(win);
+	assert.deepEqual(
+		Array.from(warnings(win), (e) => Array.from(e.data.conflicts)),
+		[
+			["key_native", "nug.keys.twin"],
+			["key_native", "nug.keys.demo"],
+		],
+	);
+	assert.equal(listed(win, "demo").binding, "accel+shift+K");
+	assert.deepEqual(Array.from(listed(win, "twin").conflicts), [
+		"key_native",
+		"nug.keys.demo",
+	]);
+
+	// Rebinding checks again.
+	addKeyElement(win, { id: "key_f2", keycode: "VK_F2" });
+	proc.prefs.set("nug.keys.twin", "F2");
+	assert.deepEqual(Array.from(warnings(win).at(-1).data.conflicts), [
+		"key_f2",
+	]);
+});
+
+test("unregistered actions no longer run", () => {
+	const { win, runs, unregister } = open();
+	unregister();
+	press(win, "KeyK", { ctrlKey: true, shiftKey: true });
+	assert.deepEqual(runs, []);
+	assert.equal(listed(win, "demo"), undefined);
+});
+
+test("a failing action is logged", () => {
+	const proc = createProcess();
+	const win = proc.openWindow();
+	win.Nug.hotkeys.register({
+		id: "demo",
+		label: "Demo",
+		key: "F9",
+		run() {
+			throw new Error("boom");
+		},
+	});
+	assert.equal(press(win, "F9").defaultPrevented, true);
+	const [entry] = win.Nug.log.entries({ feature: "hotkeys", level: "error" });
+	assert.equal(entry.event, "demo failed");
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+function open(prefs = {}) {
+	const proc = createProcess({ prefs });
+	const win = proc.openWindow();
+	win.Nug.log.clear();
+	return { proc, win, Nug: win.Nug };
+}
+
+const events = (entries) => Array.from(entries, (e) => e.event);
+
+test("entries from every window share one buffer", () => {
+	const { proc, Nug } = open();
+	const other = proc.openWindow().Nug;
+	Nug.log("demo", "first");
+	other.log.warn("demo", "second");
+	assert.deepEqual(events(Nug.log.entries()), ["first", "second"]);
+	const [a, b] = other.log.entries();
+	assert.notEqual(a.win, b.win);
+	assert.equal(b.level, "warn");
+});
+
+test("debug entries and console output follow nug.<feature>.debug", () => {
+	const { proc, Nug } = open();
+	Nug.log.debug("demo", "dropped");
+	Nug.log("demo", "kept quiet");
+	Nug.log.error("demo", "shouted");
+	assert.deepEqual(events(Nug.log.entries()), ["kept quiet", "shouted"]);
+	assert.equal(proc.console.log.length, 0);
+	assert.equal(proc.console.error.length, 1);
+
+	proc.prefs.set("nug.demo.debug", true);
+	Nug.log.debug("demo", "traced");
+	assert.equal(Nug.log.entries().at(-1).event, "traced");
+	assert.match(proc.console.log[0][0], /\[nug-demo\].* traced$/);
+});
+
+test("the buffer keeps the latest 500 entries", () => {
+	const { Nug } = open();
+	for (let i = 0; i < 510; i++) Nug.log("demo", `e${i}`);
+	const entries = Nug.log.entries();
+	assert.equal(entries.length, 500);
+	assert.equal(entries[0].event, "e10");
+	assert.equal(entries.at(-1).event, "e509");
+});
+
+test("entries narrow by feature and minimum level, and clear by feature", () => {
+	const { Nug } = open();
+	Nug.log("a", "a-info");
+	Nug.log.warn("a", "a-warn");
+	Nug.log.error("b", "b-error");
+	assert.deepEqual(events(Nug.log.entries({ feature: "a" })), [
+		"a-info",
+		"a-warn",
+	]);
+	assert.deepEqual(events(Nug.log.entries({ level: "warn" })), [
+		"a-warn",
+		"b-error",
+	]);
+	Nug.log.clear("a");
+	assert.deepEqual(events(Nug.log.entries()), ["b-error"]);
+	Nug.log.clear();
+	assert.equal(Nug.log.entries().length, 0);
+});
+
+test("export writes the buffer and feature status as JSON", async () => {
+	const { proc, win, Nug } = open();
+	proc.openWindow();
+	const cycle = { name: "loop" };
+	cycle.self = cycle;
+	Nug.log.error("demo", "failed", {
+		error: new win.Error("boom"),
+		node: win.document.getElementById("urlbar"),
+		cycle,
+	});
+
+	proc.pickPath = "/tmp/nug-log.json";
+	assert.equal(await Nug.log.export(), "/tmp/nug-log.json");
+	assert.match(
+		proc.pickers[0].defaultString,
+		/^nug-log-\d{4}-\d\d-\d\d\.json$/,
+	);
+	const report = JSON.parse(proc.files.get("/tmp/nug-log.json"));
+	assert.equal(report.app, "Zen test");
+	assert.equal(Object.keys(report.features).length, 2);
+	assert.deepEqual(report.entries.at(-1).data, {
+		error: "Error: boom",
+		node: "<div#urlbar>",
+		cycle: { name: "loop", self: "[circular]" },
+	});
+
+	proc.pickPath = null;
+	assert.equal(await Nug.log.export(), null);
+});
+
+test("entries keep a flattened copy of their data", () => {
+	const { win, Nug } = open();
+	const node = win.document.getElementById("urlbar");
+	const data = { node, list: [1, 2], error: new win.Error("boom") };
+	Nug.log("demo", "recorded", data);
+	Nug.log("demo", "bare");
+	const [recorded, bare] = Nug.log.entries();
+	assert.deepEqual(JSON.parse(JSON.stringify(recorded.data)), {
+		node: "<div#urlbar>",
+		list: [1, 2],
+		error: "Error: boom",
+	});
+	// Later changes to the logged object don't reach the buffer.
+	data.list.push(3);
+	assert.equal(recorded.data.list.length, 2);
+	assert.equal(bare.data, undefined);
+});
+
+test("export runs from its shortcut", async () => {
+	const { proc, win } = open({ "nug.keys.export-log": "F10" });
+	proc.pickPath = "/tmp/nug-log.json";
+	win.document
+		.getElementById("urlbar-input")
+		.dispatchEvent(
+			new win.KeyboardEvent("keydown", { code: "F10", bubbles: true }),
+		);
+	await proc.tick();
+	assert.ok(proc.files.has("/tmp/nug-log.json"));
+});
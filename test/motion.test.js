@@ -0,0 +1,75 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+test("the global level follows the OS unless told to ignore it", () => {
+	const proc = createProcess({ reducedMotion: true });
+	const { Nug } = proc.openWindow();
+	assert.equal(Nug.motion.level(), "reduced");
+	proc.prefs.set("nug.ignore-reduced-motion", true);
+	assert.equal(Nug.motion.level(), "full");
+	proc.prefs.set("nug.ignore-reduced-motion", false);
+	proc.setReducedMotion(false);
+	assert.equal(Nug.motion.level(), "full");
+});
+
+test("a feature's override wins over the global level", () => {
+	const proc = createProcess({
+		reducedMotion: true,
+		prefs: { "nug.demo.motion": "full", "nug.other.motion": "bogus" },
+	});
+	const { Nug } = proc.openWindow();
+	assert.equal(Nug.motion.level("demo"), "full");
+	// Unknown values fall back to the global level.
+	assert.equal(Nug.motion.level("other"), "reduced");
+	proc.prefs.set("nug.demo.motion", "none");
+	proc.setReducedMotion(false);
+	assert.equal(Nug.motion.level("demo"), "none");
+	assert.equal(Nug.motion.level(), "full");
+});
+
+test("subscribers hear only changes to their feature's level", () => {
+	const proc = createProcess();
+	const { Nug } = proc.openWindow();
+	const global = [];
+	const demo = [];
+	Nug.motion.subscribe((level) => global.push(level));
+	const unsubscribe = Nug.motion.subscribe(
+		(level) => demo.push(level),
+		"demo",
+	);
+
+	proc.setReducedMotion(true);
+	proc.prefs.set("nug.demo.motion", "reduced");
+	proc.prefs.set("nug.other.motion", "none");
+	proc.prefs.set("nug.demo.motion", "full");
+	proc.prefs.set("nug.ignore-reduced-motion", true);
+	assert.deepEqual(global, ["reduced", "full"]);
+	assert.deepEqual(demo, ["reduced", "full"]);
+
+	unsubscribe();
+	proc.prefs.set("nug.demo.motion", "none");
+	assert.deepEqual(demo, ["reduced", "full"]);
+});
+
+test("the root and reflected elements carry their level", () => {
+	const proc = createProcess();
+	const { document, Nug } = proc.openWindow();
+	const root = document.documentElement;
+	const panel = document.getElementById("urlbar");
+	const unreflect = Nug.motion.reflect(panel, "demo");
+	assert.equal(root.getAttribute("nug-motion"), "full");
+
+	proc.setReducedMotion(true);
+	assert.equal(root.getAttribute("nug-motion"), "reduced");
+	assert.equal(panel.getAttribute("nug-motion"), "reduced");
+	proc.prefs.set("nug.demo.motion", "full");
+	assert.equal(root.getAttribute("nug-motion"), "reduced");
+	assert.equal(panel.getAttribute("nug-motion"), "full");
+
+	unreflect();
+	proc.prefs.set("nug.demo.motion", "none");
+	assert.equal(panel.getAttribute("nug-motion"), "full");
+});
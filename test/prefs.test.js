@@ -0,0 +1,113 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const warnings = (proc) => proc.console.warn.map((args) => args.join(" "));
+
+test("unset prefs read as their preferences.json default", () => {
+	const proc = createProcess();
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.get("nug.tab.explode"), true);
+	assert.equal(prefs.get("nug-icon-color"), 10);
+	assert.equal(prefs.get("nug.ephemeral.container"), "Ephemeral");
+});
+
+test("user values come back typed", () => {
+	const proc = createProcess({
+		prefs: { "nug.findbar.position": 4, "nug.tab.explode": false },
+	});
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.get("nug.findbar.position"), 4);
+	assert.equal(prefs.get("nug.tab.explode"), false);
+});
+
+test("out-of-range dropdown values fall back to the default and warn once", () => {
+	const proc = createProcess({ prefs: { "nug-accent-color": 42 } });
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.get("nug-accent-color"), 0);
+	assert.equal(prefs.get("nug-accent-color"), 0);
+	const matching = warnings(proc).filter((w) =>
+		w.includes("nug-accent-color"),
+	);
+	assert.equal(matching.length, 1);
+});
+
+test("custom colors must be hex", () => {
+	const proc = createProcess({
+		prefs: { "nug-accent-custom": "blue", "nug-icon-custom": "#cba6f7" },
+	});
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.get("nug-accent-custom"), "");
+	assert.equal(prefs.get("nug-icon-custom"), "#cba6f7");
+});
+
+test("a pref stored with the wrong type falls back to the default", () => {
+	const proc = createProcess({ prefs: { "nug.tab.explode": "yes" } });
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.get("nug.tab.explode"), true);
+	assert.ok(warnings(proc).some((w) => w.includes("isn't a bool pref")));
+});
+
+test("set() rejects values the schema wouldn't accept", () => {
+	const proc = createProcess();
+	const { prefs } = proc.openWindow().Nug;
+	assert.throws(() => prefs.set("nug.findbar.position", 9), {
+		name: "TypeError",
+	});
+	assert.throws(() => prefs.set("nug.not.a.pref", 1), /isn't declared/);
+	prefs.set("nug.findbar.position", 2);
+	assert.equal(proc.prefs.getIntPref("nug.findbar.position"), 2);
+});
+
+test("conditions follow the controlling pref", () => {
+	const proc = createProcess();
+	const { prefs } = proc.openWindow().Nug;
+	assert.equal(prefs.isActive("nug-accent-custom"), false);
+	proc.prefs.set("nug-accent-color", 15);
+	assert.equal(prefs.isActive("nug-accent-custom"), true);
+	assert.equal(prefs.isActive("nug.tab.explode"), true);
+});
+
+test("the startup audit flags user-set prefs nothing declares", () => {
+	const proc = createProcess({ prefs: { "nug.findbar.postion": 2 } });
+	proc.openWindow();
+	assert.ok(warnings(proc).some((w) => w.includes('"nug.findbar.postion"')));
+});
+
+test("the schema is loaded once and shared by every window", () => {
+	const proc = createProcess();
+	const a = proc.openWindow().Nug;
+	a.prefs.define({
+		property: "nug.test.only",
+		type: "checkbox",
+		defaultValue: true,
+	});
+	const b = proc.openWindow().Nug;
+	assert.equal(b.prefs.get("nug.test.only"), true);
+});
+
+test("subscribe matches names exactly unless they end in a dot", () => {
+	const proc = createProcess();
+	const { prefs } = proc.openWindow().Nug;
+	const seen = [];
+	const unsubscribe = prefs.subscribe(
+		["nug.urlbar.placeholder", "nug.keys."],
+		(name) => seen.push(name),
+	);
+	proc.prefs.set("nug.urlbar.placeholder", "Hi");
+	// Firefox's observers would fire for these too, as they share the prefix.
+	proc.prefs.set("nug.urlbar.placeholder.enabled", false);
+	proc.prefs.set("nug.urlbar.placeholder.map", "{}");
+	proc.prefs.set("nug.keys.toggle-explode", "accel+K");
+	proc.prefs.set("nug.keysmith", true);
+	assert.deepEqual(seen, [
+		"nug.urlbar.placeholder",
+		"nug.keys.toggle-explode",
+	]);
+
+	unsubscribe();
+	proc.prefs.set("nug.urlbar.placeholder", "Bye");
+	assert.equal(seen.length, 2);
+});
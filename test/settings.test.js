@@ -0,0 +1,156 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const PATH = "/tmp/nug-settings.json";
+
+function open(prefs = {}) {
+	const proc = createProcess({ prefs });
+	const win = proc.openWindow();
+	proc.pickPath = PATH;
+	return { proc, win, Nug: win.Nug };
+}
+
+const saveProfile = (proc, profile) =>
+	proc.files.set(PATH, JSON.stringify(profile));
+const lastPrompt = (proc) => proc.prompts.at(-1);
+
+test("export writes every declared pref to the picked file", async () => {
+	const { proc, Nug } = open({
+		"nug.findbar.position": 3,
+		"nug.not.declared": true,
+	});
+	assert.equal(await Nug.settings.export(), PATH);
+	assert.equal(proc.pickers[0].defaultString, "nug-settings.json");
+	const profile = JSON.parse(proc.files.get(PATH));
+	assert.equal(profile.format, 1);
+	assert.equal(profile.prefs["nug.findbar.position"], 3);
+	assert.equal(profile.prefs["nug.tab.explode"], true);
+	assert.equal("nug.not.declared" in profile.prefs, false);
+
+	proc.pickPath = null;
+	assert.equal(await Nug.settings.export(), null);
+});
+
+test("import previews the changes and applies them on confirm", async () => {
+	const { proc, Nug } = open({ "nug.findbar.position": 3 });
+	saveProfile(proc, {
+		format: 1,
+		prefs: {
+			"nug.findbar.position": 0,
+			"nug.tab.explode": false,
+			"nug.from.the.future": 1,
+		},
+	});
+	const result = await Nug.settings.import();
+	assert.deepEqual(Array.from(result.applied), [
+		"nug.findbar.position",
+		"nug.tab.explode",
+	]);
+	assert.deepEqual(Array.from(result.skipped), ["nug.from.the.future"]);
+	const { type, text } = lastPrompt(proc);
+	assert.equal(type, "confirm");
+	assert.match(text, /skipping unknown: nug\.from\.the\.future/);
+	assert.equal(Nug.prefs.get("nug.tab.explode"), false);
+	// Going back to a default clears the user value instead of storing it.
+	assert.equal(proc.prefs.prefHasUserValue("nug.findbar.position"), false);
+});
+
+test("declining the import changes nothing", async () => {
+	const { proc, Nug } = open();
+	saveProfile(proc, { format: 1, prefs: { "nug.tab.explode": false } });
+	proc.confirmResult = false;
+	assert.equal(await Nug.settings.import(), null);
+	assert.equal(Nug.prefs.get("nug.tab.explode"), true);
+});
+
+test("one invalid value rejects the whole import", async () => {
+	const { proc, Nug } = open();
+	saveProfile(proc, {
+		format: 1,
+		prefs: { "nug.tab.explode": false, "nug.findbar.position": 99 },
+	});
+	assert.equal(await Nug.settings.import(), null);
+	const { type, text } = lastPrompt(proc);
+	assert.equal(type, "alert");
+	assert.match(text, /Nothing was imported[\s\S]*nug\.findbar\.position/);
+	assert.equal(Nug.prefs.get("nug.tab.explode"), true);
+});
+
+test("files that aren't settings profiles are refused", async () => {
+	const { proc, Nug } = open();
+	for (const profile of [
+		{ format: 1, prefs: null },
+		{ format: 1, prefs: [] },
+		{ format: 1, prefs: "nug.tab.explode" },
+		{ format: 2, prefs: {} },
+		null,
+	]) {
+		saveProfile(proc, profile);
+		assert.equal(await Nug.settings.import(), null);
+		assert.equal(lastPrompt(proc).text, "This isn't a Nug settings file.");
+	}
+	proc.files.set(PATH, "{ not json");
+	assert.equal(await Nug.settings.import(), null);
+	assert.match(lastPrompt(proc).text, /^Couldn't read/);
+	assert.equal(
+		proc.prompts.some(({ type }) => type === "confirm"),
+		false,
+	);
+});
+
+test("reset clears user-set declared prefs after confirming", async () => {
+	const { proc, Nug } = open({
+		"nug.findbar.position": 3,
+		"nug.tab.explode": false,
+	});
+	proc.confirmResult = false;
+	assert.equal(await Nug.settings.reset(), null);
+	assert.equal(Nug.prefs.get("nug.findbar.position"), 3);
+
+	proc.confirmResult = true;
+	const cleared = await Nug.settings.reset();
+	assert.deepEqual(Array.from(cleared).sort(), [
+		"nug.findbar.position",
+		"nug.tab.explode",
+	]);
+	assert.equal(proc.prefs.prefHasUserValue("nug.findbar.position"), false);
+	assert.equal(Nug.prefs.get("nug.tab.explode"), true);
+
+	assert.deepEqual(Array.from(await Nug.settings.reset()), []);
+	assert.equal(lastPrompt(proc).type, "alert");
+});
+
+test("export, import and reset run from their shortcuts", async () => {
+	const { proc, win, Nug } = open({
+		"nug.keys.export-settings": "accel+alt+shift+S",
+		"nug.keys.reset-settings": "accel+alt+shift+R",
+		"nug.findbar.position": 3,
+	});
+	const press = (code) =>
+		win.document.getElementById("urlbar-input").dispatchEvent(
+			new win.KeyboardEvent("keydown", {
+				code,
+				ctrlKey: true,
+				altKey: true,
+				shiftKey: true,
+				bubbles: true,
+			}),
+		);
+	press("KeyS");
+	await proc.tick();
+	assert.equal(proc.pickers[0].defaultString, "nug-settings.json");
+	assert.ok(proc.files.has(PATH));
+
+	proc.confirmResult = true;
+	press("KeyR");
+	assert.equal(proc.prefs.prefHasUserValue("nug.findbar.position"), false);
+
+	// Import is there too, unbound until the user picks a shortcut.
+	const importer = Array.from(Nug.hotkeys.list()).find(
+		(action) => action.id === "import-settings",
+	);
+	assert.equal(importer.binding, "");
+});
@@ -0,0 +1,621 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const SCRIPTS = ["nug-core", "tab-explode"];
+
+// jsdom has no layout: #browser is 1000x800 and everything else a 100x30
+// box at 10,10 unless its test-rect attribute says "left top width height".
+function stubLayout(win) {
+	win.Element.prototype.getBoundingClientRect = function () {
+		const [left, top, width, height] = this.hasAttribute("test-rect")
+			? this.getAttribute("test-rect").split(" ").map(Number)
+			: this.id === "browser"
+				? [0, 0, 1000, 800]
+				: [10, 10, 100, 30];
+		return {
+			left,
+			top,
+			width,
+			height,
+			right: left + width,
+			bottom: top + height,
+		};
+	};
+}
+
+// jsdom has no canvas and no real frames either: record each particle the
+// last frame filled, and run frames by hand.
+function stubCanvas(win, pixels = []) {
+	stubLayout(win);
+	const frames = new Map();
+	let nextFrame = 0;
+	win.requestAnimationFrame = (fn) => {
+		frames.set(++nextFrame, fn);
+		return nextFrame;
+	};
+	win.cancelAnimationFrame = (id) => frames.delete(id);
+	const drawn = [];
+	win.HTMLCanvasElement.prototype.getContext = () => {
+		let shape = null;
+		// Each explosion is translated to its origin, then each particle
+		// relative to that.
+		let depth = 0;
+		let origin = null;
+		let y = 0;
+		return {
+			drawImage() {},
+			getImageData: () => ({
+				data: new Uint8ClampedArray(pixels.flat()),
+			}),
+			setTransform() {},
+			clearRect: () => (drawn.length = 0),
+			save: () => depth++,
+			restore: () => depth--,
+			translate(dx, dy) {
+				if (depth === 1) origin = { x: dx, y: dy };
+				else y = dy;
+			},
+			rotate() {},
+			scale() {},
+			beginPath() {},
+			arc: () => (shape = "circle"),
+			rect: () => (shape = "rect"),
+			moveTo: () => (shape = "shard"),
+			lineTo() {},
+			closePath() {},
+			fill() {
+				drawn.push({
+					shape,
+					origin,
+					y,
+					fill: this.fillStyle,
+					alpha: this.globalAlpha,
+				});
+			},
+		};
+	};
+	const frame = (now) => {
+		const pending = [...frames.values()];
+		frames.clear();
+		for (const fn of pending) fn(now);
+		return drawn;
+	};
+	return { frames, frame, drawn };
+}
+
+function closeTab(prefs = {}, options) {
+	const proc = createProcess({ prefs, ...options });
+	const win = proc.openWindow(SCRIPTS);
+	const canvas = stubCanvas(win);
+	const tab = win.gBrowser.addTab();
+	win.gBrowser.removeTab(tab);
+	return { proc, win, tab, ...canvas };
+}
+
+const overlay = (win) => win.document.querySelector(".tab-explosion-canvas");
+const shapes = (drawn) => new Set(drawn.map((p) => p.shape));
+
+test("bubbles are the default style", () => {
+	const { win, tab, frame } = closeTab();
+	assert.equal(overlay(win).parentNode.id, "browser");
+	const drawn = frame(0);
+	assert.equal(drawn.length, 25);
+	assert.deepEqual(shapes(drawn), new Set(["circle"]));
+	assert.equal(tab.style.opacity, "0");
+});
+
+test("the style pref picks a preset and the tuning prefs override it", () => {
+	const { frame } = closeTab({
+		"nug.tab.explode.style": "confetti",
+		"nug.tab.explode.particles": 10,
+		"nug.tab.explode.duration": 300,
+	});
+	assert.equal(frame(0).length, 10);
+	assert.deepEqual(shapes(frame(1)), new Set(["rect"]));
+	// Past the duration plus the longest confetti delay.
+	assert.equal(frame(300 + 120).length, 0);
+});
+
+test("spread scales how far particles travel", () => {
+	const { frame } = closeTab({
+		"nug.tab.explode.style": "confetti",
+		"nug.tab.explode.duration": 1200,
+		"nug.tab.explode.spread": 300,
+	});
+	frame(0);
+	// Confetti falls by at least half its spread (40px, tripled here), so
+	// near the end every piece is past where the unscaled preset could go.
+	for (const particle of frame(1199)) assert.ok(particle.y >= 55);
+});
+
+test("shrink-and-fade has no particles", () => {
+	const { win, tab, frames } = closeTab({
+		"nug.tab.explode.style": "shrink",
+	});
+	assert.equal(overlay(win), null);
+	assert.equal(frames.size, 0);
+	assert.equal(tab.style.transform, "scale(0.6)");
+	assert.equal(tab.style.opacity, "0");
+});
+
+test("an unknown style falls back to bubbles", () => {
+	const { proc, frame } = closeTab({
+		"nug.tab.explode.style": "fireworks",
+	});
+	assert.equal(frame(0).length, 25);
+	assert.ok(
+		proc.console.warn.some((args) =>
+			args.join(" ").includes("nug.tab.explode.style"),
+		),
+	);
+});
+
+test("reduced motion fades the tab without particles", () => {
+	const { win, tab } = closeTab({}, { reducedMotion: true });
+	assert.equal(overlay(win), null);
+	assert.equal(tab.style.opacity, "0");
+	assert.equal(tab.getAttribute("nug-motion"), "reduced");
+});
+
+test("a full-motion override exempts the closing tab from reduced motion", () => {
+	const { win, tab } = closeTab(
+		{ "nug.tab.explode.motion": "full" },
+		{ reducedMotion: true },
+	);
+	assert.ok(overlay(win));
+	// userChrome.css only reduces elements outside a nug-motion='full' one.
+	assert.equal(tab.getAttribute("nug-motion"), "full");
+	assert.equal(
+		win.document.documentElement.getAttribute("nug-motion"),
+		"reduced",
+	);
+});
+
+test("simultaneous closes share one canvas and one frame loop", () => {
+	const proc = createProcess();
+	const win = proc.openWindow(SCRIPTS);
+	const { frames, frame } = stubCanvas(win);
+	const tabs = [1, 2, 3].map(() => win.gBrowser.addTab());
+	for (const tab of tabs) win.gBrowser.removeTab(tab);
+	assert.equal(
+		win.document.querySelectorAll(".tab-explosion-canvas").length,
+		1,
+	);
+	assert.equal(frames.size, 1);
+	assert.equal(frame(0).length, 75);
+	assert.equal(frames.size, 1);
+});
+
+test("particles are capped across every explosion in flight", () => {
+	const proc = createProcess({
+		prefs: {
+			"nug.tab.explode.style": "dissolve",
+			"nug.tab.explode.particles": 100,
+			"nug.tab.explode.debug": true,
+		},
+	});
+	const win = proc.openWindow(SCRIPTS);
+	const { frame } = stubCanvas(win);
+	for (let i = 0; i < 15; i++) win.gBrowser.removeTab(win.gBrowser.addTab());
+	assert.equal(frame(0).length, 1200);
+	assert.ok(
+		win.Nug.log
+			.entries({ feature: "tab.explode" })
+			.some((entry) => entry.event === "particle cap reached"),
+	);
+});
+
+test("the canvas is torn down once idle", () => {
+	const { win, frame, frames } = closeTab();
+	const timers = [];
+	win.setTimeout = (fn, ms) => timers.push({ fn, ms });
+	win.clearTimeout = () => {};
+	frame(0);
+	frame(600 + 120);
+	assert.equal(frames.size, 0);
+	assert.ok(overlay(win));
+	assert.deepEqual(
+		timers.map(({ ms }) => ms),
+		[2000],
+	);
+	timers[0].fn();
+	assert.equal(overlay(win), null);
+});
+
+test("disabling the feature removes explosions in flight", () => {
+	const { proc, win, frames } = closeTab();
+	proc.prefs.set("nug.tab.explode", false);
+	assert.equal(overlay(win), null);
+	assert.equal(frames.size, 0);
+});
+
+test("accent tint resolves --nug-accent when the tab closes", () => {
+	const proc = createProcess({ prefs: { "nug.tab.explode.tint": "accent" } });
+	const win = proc.openWindow(SCRIPTS);
+	const { frame } = stubCanvas(win);
+	win.document.documentElement.style.setProperty("--nug-accent", "#89b4fa");
+	win.gBrowser.removeTab(win.gBrowser.addTab());
+	const drawn = frame(0);
+	assert.equal(drawn.length, 25);
+	assert.equal(drawn[0].fill, "rgb(137, 180, 250)");
+});
+
+test("group tint uses the closing group's color", () => {
+	const proc = createProcess({ prefs: { "nug.tab.explode.tint": "group" } });
+	const win = proc.openWindow(SCRIPTS);
+	const { frame } = stubCanvas(win);
+	const group = win.document.createElement("tab-group");
+	group.style.setProperty("--tab-group-color", "#a6e3a1");
+	win.gBrowser.tabContainer.appendChild(group);
+	group.dispatchEvent(new win.Event("TabGroupRemoved", { bubbles: true }));
+	assert.equal(frame(0)[0].fill, "rgb(166, 227, 161)");
+});
+
+test("favicon tint picks the icon's dominant color", () => {
+	const proc = createProcess({
+		prefs: { "nug.tab.explode.tint": "favicon" },
+	});
+	const win = proc.openWindow(SCRIPTS);
+	// 3 red pixels, 1 transparent and 2 white ones.
+	const { frame } = stubCanvas(win, [
+		[250, 20, 20, 255],
+		[240, 30, 20, 255],
+		[245, 25, 20, 255],
+		[0, 0, 255, 0],
+		[255, 255, 255, 255],
+		[255, 255, 255, 255],
+	]);
+	const tab = win.gBrowser.addTab();
+	const icon = win.document.createElement("img");
+	icon.className = "tab-icon-image";
+	icon.src = "page-icon:https://example.com/";
+	Object.defineProperty(icon, "complete", { value: true });
+	tab.appendChild(icon);
+	win.gBrowser.removeTab(tab);
+	assert.equal(frame(0)[0].fill, "rgb(245, 25, 20)");
+});
+
+test("without a favicon the style's own colors are kept", () => {
+	const untinted = closeTab().frame(0)[0].fill;
+	const { frame } = closeTab({ "nug.tab.explode.tint": "favicon" });
+	assert.equal(frame(0)[0].fill, untinted);
+});
+
+function openForEntry(prefs = {}, options) {
+	const proc = createProcess({
+		prefs: { "nug.tab.enter": true, ...prefs },
+		...options,
+	});
+	const win = proc.openWindow(SCRIPTS);
+	const canvas = stubCanvas(win);
+	const glows = [];
+	win.Element.prototype.animate = function (keyframes, timing) {
+		glows.push({ element: this, keyframes, timing });
+	};
+	win.document.documentElement.style.setProperty("--nug-accent", "#89b4fa");
+	return { proc, win, glows, ...canvas };
+}
+
+const entries = (win) =>
+	Array.from(win.Nug.log.entries({ feature: "tab.enter" }))
+		.filter((entry) => entry.event === "enter")
+		.map((entry) => entry.data.source);
+
+test("entry animations are off by default", () => {
+	const proc = createProcess();
+	const win = proc.openWindow(SCRIPTS);
+	const { frames } = stubCanvas(win);
+	win.gBrowser.addTab();
+	assert.equal(frames.size, 0);
+});
+
+test("opened tabs get converging accent bubbles and a glow", () => {
+	const { win, glows, frame } = openForEntry();
+	const tab = win.gBrowser.addTab();
+	// The first frame lets the tab lay out, the next one draws.
+	assert.equal(frame(0).length, 0);
+	assert.equal(glows.length, 1);
+	assert.equal(glows[0].element, tab);
+	assert.equal(glows[0].timing.duration, 450);
+	const drawn = frame(16);
+	assert.equal(drawn.length, 20);
+	assert.equal(drawn[0].fill, "rgb(137, 180, 250)");
+	// Played backwards, so they start out invisible.
+	assert.ok(drawn.every((particle) => particle.alpha === 0));
+	assert.equal(frame(16 + 300).length, 20);
+});
+
+test("each feature only cancels its own particles on the shared canvas", () => {
+	// Pinned, so the tab that closes doesn't get an entrance of its own.
+	const { proc, win, frame } = openForEntry({
+		"nug.tab.explode.pinned": true,
+	});
+	const closing = win.gBrowser.addTab({ pinned: true });
+	win.gBrowser.addTab();
+	frame(0);
+	win.gBrowser.removeTab(closing);
+	const both = frame(16).length;
+	assert.ok(both > 20);
+	proc.prefs.set("nug.tab.enter", false);
+	assert.ok(overlay(win));
+	assert.equal(frame(32).length, both - 20);
+	proc.prefs.set("nug.tab.enter", true);
+	win.gBrowser.addTab();
+	frame(48);
+	proc.prefs.set("nug.tab.explode", false);
+	assert.ok(overlay(win));
+	assert.equal(frame(64).length, 20);
+	proc.prefs.set("nug.tab.enter", false);
+	assert.equal(overlay(win), null);
+});
+
+test("a reopened tab enters once, as a restore", () => {
+	const { win, frame } = openForEntry({ "nug.tab.enter.debug": true });
+	const tab = win.gBrowser.addTab();
+	tab.dispatchEvent(new win.Event("SSTabRestoring", { bubbles: true }));
+	frame(0);
+	assert.deepEqual(entries(win), ["restore"]);
+	// Loading it later doesn't play it again.
+	tab.dispatchEvent(new win.Event("SSTabRestoring", { bubbles: true }));
+	frame(16);
+	assert.deepEqual(entries(win), ["restore"]);
+});
+
+test("new tab groups glow", () => {
+	const { win, glows, frame } = openForEntry({
+		"nug.tab.enter.style": "glow",
+	});
+	const group = win.document.createElement("tab-group");
+	win.gBrowser.tabContainer.appendChild(group);
+	group.dispatchEvent(new win.Event("TabGroupCreate", { bubbles: true }));
+	frame(0);
+	assert.deepEqual(
+		glows.map(({ element }) => element),
+		[group],
+	);
+	assert.equal(overlay(win), null);
+});
+
+test("tabs opened in bulk don't animate", () => {
+	const { win, glows, frame } = openForEntry();
+	for (let i = 0; i < 10; i++) win.gBrowser.addTab();
+	frame(0);
+	assert.equal(glows.length, 0);
+	assert.equal(overlay(win), null);
+});
+
+test("reduced motion keeps the glow but drops the bubbles", () => {
+	const { win, glows, frame } = openForEntry({}, { reducedMotion: true });
+	win.gBrowser.addTab();
+	frame(0);
+	assert.equal(glows.length, 1);
+	assert.equal(overlay(win), null);
+});
+
+// SessionStore keeps closed tabs newest first; the window's TabClose handler
+// records them after everyone else's has run.
+function openForUndo(prefs = {}) {
+	const proc = createProcess({
+		prefs: { "nug.tab.explode.undo": true, ...prefs },
+	});
+	const win = proc.openWindow(SCRIPTS);
+	stubCanvas(win);
+	const closed = [];
+	const restored = [];
+	let closedId = 0;
+	win.SessionStore = {
+		getClosedTabDataForWindow: () => closed,
+		undoCloseTab(source, index) {
+			assert.equal(source, win);
+			restored.push(closed.splice(index, 1)[0].title);
+		},
+	};
+	const close = (label, { saved = true } = {}) => {
+		const tab = win.gBrowser.addTab();
+		tab.label = label;
+		tab.setAttribute("image", `page-icon:https://${label}.example/`);
+		win.gBrowser.removeTab(tab);
+		if (saved) closed.unshift({ closedId: ++closedId, title: label });
+	};
+	const toast = () => win.document.querySelector(".nug-undo-toast");
+	return { proc, win, close, toast, closed, restored };
+}
+
+test("the undo toast is off by default", async () => {
+	const { proc, close, toast } = openForUndo({
+		"nug.tab.explode.undo": false,
+	});
+	close("docs");
+	await proc.tick();
+	assert.equal(toast(), null);
+});
+
+test("undo restores an exploded tab", async () => {
+	const { proc, win, close, toast, closed, restored } = openForUndo();
+	closed.push({ closedId: 0, title: "older" });
+	close("docs");
+	await proc.tick();
+	const node = toast();
+	assert.equal(node.parentNode.id, "browser");
+	assert.equal(
+		node.querySelector(".nug-undo-toast-label").textContent,
+		"docs",
+	);
+	assert.equal(
+		node.querySelector(".nug-undo-toast-icon").src,
+		"page-icon:https://docs.example/",
+	);
+	const button = node.querySelector(".nug-undo-toast-button");
+	assert.equal(button.textContent, "Undo");
+	button.dispatchEvent(new win.MouseEvent("click"));
+	assert.deepEqual(restored, ["docs"]);
+	assert.equal(toast(), null);
+});
+
+test("rapid closes collapse into one toast that undoes them all", async () => {
+	const { proc, win, close, toast, restored } = openForUndo();
+	close("one");
+	close("two");
+	await proc.tick();
+	close("three");
+	await proc.tick();
+	assert.equal(win.document.querySelectorAll(".nug-undo-toast").length, 1);
+	const button = toast().querySelector(".nug-undo-toast-button");
+	assert.equal(button.textContent, "Undo 3 tabs");
+	assert.equal(
+		toast().querySelector(".nug-undo-toast-label").textContent,
+		"3 tabs closed",
+	);
+	assert.ok(toast().querySelector(".nug-undo-toast-icon").hidden);
+	button.dispatchEvent(new win.MouseEvent("click"));
+	// Newest first, so each lands back at its own index.
+	assert.deepEqual(restored, ["three", "two", "one"]);
+});
+
+test("tabs SessionStore didn't keep get no toast", async () => {
+	const { proc, close, toast, closed } = openForUndo();
+	// An older close with the same title isn't mistaken for this one.
+	closed.push({ closedId: 0, title: "New Tab" });
+	close("New Tab", { saved: false });
+	await proc.tick();
+	assert.equal(toast(), null);
+});
+
+test("the toast goes away after a few seconds", async () => {
+	const { proc, win, close, toast } = openForUndo();
+	const timers = [];
+	close("docs");
+	await proc.tick();
+	// Hovering stops the clock; leaving restarts it.
+	toast().dispatchEvent(new win.MouseEvent("mouseenter"));
+	win.setTimeout = (fn, ms) => timers.push({ fn, ms });
+	win.clearTimeout = () => {};
+	toast().dispatchEvent(new win.MouseEvent("mouseleave"));
+	assert.equal(timers.at(-1).ms, 5000);
+	timers.at(-1).fn();
+	assert.equal(toast(), null);
+});
+
+test("turning undo off drops the toast", async () => {
+	const { proc, close, toast } = openForUndo();
+	close("docs");
+	await proc.tick();
+	proc.prefs.set("nug.tab.explode.undo", false);
+	assert.equal(toast(), null);
+});
+
+function closeKind(prefs, build) {
+	const proc = createProcess({ prefs });
+	const win = proc.openWindow(SCRIPTS);
+	const canvas = stubCanvas(win);
+	const tab = build(win);
+	win.gBrowser.removeTab(tab);
+	return { proc, win, tab, ...canvas };
+}
+
+function addGroup(win, localName = "tab-group", count = 2) {
+	const group = win.document.createElement(localName);
+	win.gBrowser.tabContainer.appendChild(group);
+	const tabs = [];
+	for (let i = 0; i < count; i++) {
+		const tab = win.gBrowser.addTab();
+		group.appendChild(tab);
+		tabs.push(tab);
+	}
+	return { group, tabs };
+}
+
+test("pinned tabs and essentials only explode when opted in", () => {
+	const pinned = (win) => win.gBrowser.addTab({ pinned: true });
+	const essential = (win) => {
+		const tab = win.gBrowser.addTab({ pinned: true });
+		tab.setAttribute("zen-essential", "true");
+		return tab;
+	};
+	assert.equal(overlay(closeKind({}, pinned).win), null);
+	assert.equal(
+		closeKind({ "nug.tab.explode.pinned": true }, pinned).frame(0).length,
+		25,
+	);
+	// Essentials are pinned too, but have their own switch.
+	assert.equal(
+		overlay(closeKind({ "nug.tab.explode.pinned": true }, essential).win),
+		null,
+	);
+	assert.equal(
+		closeKind({ "nug.tab.explode.essentials": true }, essential).frame(0)
+			.length,
+		25,
+	);
+});
+
+test("essentials explode from their grid square", () => {
+	const { frame } = closeKind(
+		{ "nug.tab.explode.essentials": true },
+		(win) => {
+			const tab = win.gBrowser.addTab({ pinned: true });
+			tab.setAttribute("zen-essential", "true");
+			const background = win.document.createElement("div");
+			background.className = "tab-background";
+			background.setAttribute("test-rect", "50 60 40 40");
+			tab.appendChild(background);
+			return tab;
+		},
+	);
+	assert.deepEqual({ ...frame(0)[0].origin }, { x: 50, y: 60 });
+});
+
+test("tabs in groups and folders explode when opted in", async () => {
+	for (const localName of ["tab-group", "zen-folder"]) {
+		const off = closeKind({}, (win) => addGroup(win, localName).tabs[0]);
+		await off.proc.tick();
+		assert.equal(overlay(off.win), null);
+		const on = closeKind(
+			{ "nug.tab.explode.grouped": true },
+			(win) => addGroup(win, localName).tabs[0],
+		);
+		await on.proc.tick();
+		assert.equal(on.frame(0).length, 25);
+	}
+});
+
+test("closing a whole group leaves its tabs to the group's animation", async () => {
+	const proc = createProcess({ prefs: { "nug.tab.explode.grouped": true } });
+	const win = proc.openWindow(SCRIPTS);
+	const { frame } = stubCanvas(win);
+	const { group, tabs } = addGroup(win);
+	for (const tab of tabs) win.gBrowser.removeTab(tab);
+	group.dispatchEvent(new win.Event("TabGroupRemoved", { bubbles: true }));
+	await proc.tick();
+	assert.equal(frame(0).length, 25);
+});
+
+test("a tab in a collapsed folder explodes from the folder's label", async () => {
+	const { proc, frame } = closeKind(
+		{ "nug.tab.explode.grouped": true },
+		(win) => {
+			const { group, tabs } = addGroup(win, "zen-folder");
+			const label = win.document.createElement("div");
+			label.className = "tab-group-label";
+			label.setAttribute("test-rect", "20 200 80 24");
+			group.prepend(label);
+			tabs[0].setAttribute("test-rect", "0 0 0 0");
+			return tabs[0];
+		},
+	);
+	await proc.tick();
+	assert.deepEqual({ ...frame(0)[0].origin }, { x: 20, y: 200 });
+});
+
+test("a tab in a hidden sidebar fades without particles", () => {
+	const { win, tab } = closeKind({}, (win) => {
+		const tab = win.gBrowser.addTab();
+		tab.setAttribute("test-rect", "-300 10 100 30");
+		return tab;
+	});
+	assert.equal(overlay(win), null);
+	assert.equal(tab.style.opacity, "0");
+});
@@ -0,0 +1,160 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const SCRIPTS = ["nug-core", "urlbar-placeholder"];
+const WORK = { name: "Work", userContextId: 2 };
+
+// Setup waits for the urlbar with waitForElement, so let it settle first.
+async function open(prefs = {}) {
+	const proc = createProcess({ prefs, containers: [WORK] });
+	const win = proc.openWindow(SCRIPTS);
+	const input = win.document.getElementById("urlbar-input");
+	input.setAttribute("placeholder", "Search or enter address");
+	let workspace = "Home";
+	const listeners = [];
+	win.gZenWorkspaces = {
+		getActiveWorkspaceFromCache: () => ({ name: workspace }),
+		addChangeListeners: (fn) => listeners.push(fn),
+		removeChangeListeners: (fn) =>
+			listeners.splice(listeners.indexOf(fn), 1),
+	};
+	const switchWorkspace = (name) => {
+		workspace = name;
+		for (const fn of listeners) fn();
+	};
+	await proc.tick();
+	return { proc, win, input, switchWorkspace };
+}
+
+function selectTab(win, tab) {
+	for (const t of win.gBrowser.tabs) t.selected = t === tab;
+	tab.dispatchEvent(new win.Event("TabSelect", { bubbles: true }));
+}
+
+test("the default text is pinned over Firefox's", async () => {
+	const { proc, input } = await open();
+	assert.equal(input.getAttribute("placeholder"), "What it is");
+	input.setAttribute("placeholder", "Search with Google");
+	await proc.tick();
+	assert.equal(input.getAttribute("placeholder"), "What it is");
+});
+
+test("tokens resolve from the workspace, tab container and engine", async () => {
+	const { win, input, switchWorkspace } = await open({
+		"nug.urlbar.placeholder": "{workspace} / {container} / {engine} {nope}",
+	});
+	assert.equal(input.getAttribute("placeholder"), "Home / DuckDuckGo {nope}");
+	selectTab(win, win.gBrowser.addTab({ userContextId: WORK.userContextId }));
+	assert.equal(
+		input.getAttribute("placeholder"),
+		"Home / Work / DuckDuckGo {nope}",
+	);
+	switchWorkspace("Office");
+	assert.equal(
+		input.getAttribute("placeholder"),
+		"Office / Work / DuckDuckGo {nope}",
+	);
+});
+
+test("empty tokens drop out with their separator", async () => {
+	const { proc, input } = await open();
+	const render = (template) => {
+		proc.prefs.set("nug.urlbar.placeholder", template);
+		return input.getAttribute("placeholder");
+	};
+	assert.equal(render("{container} · {engine}"), "DuckDuckGo");
+	assert.equal(render("{engine} - {container}"), "DuckDuckGo");
+	assert.equal(
+		render("{engine} / {container} / {container} / A"),
+		"DuckDuckGo / A",
+	);
+	assert.equal(render("Search {engine} ({container})"), "Search DuckDuckGo");
+	assert.equal(render("In  {container}   {engine}"), "In DuckDuckGo");
+});
+
+test("pref changes apply live", async () => {
+	const { proc, input } = await open();
+	proc.prefs.set("nug.urlbar.placeholder", "Go {engine}");
+	assert.equal(input.getAttribute("placeholder"), "Go DuckDuckGo");
+});
+
+test("an empty template falls back to the latest native placeholder", async () => {
+	const { proc, input } = await open();
+	input.setAttribute("placeholder", "Search with Google");
+	await proc.tick();
+	proc.prefs.set("nug.urlbar.placeholder", "");
+	assert.equal(input.getAttribute("placeholder"), "Search with Google");
+	input.setAttribute("placeholder", "Search with Bing");
+	await proc.tick();
+	assert.equal(input.getAttribute("placeholder"), "Search with Bing");
+	proc.prefs.set("nug.urlbar.placeholder", "Back");
+	assert.equal(input.getAttribute("placeholder"), "Back");
+});
+
+test("disabling the feature restores Firefox's placeholder", async () => {
+	const { proc, input } = await open();
+	proc.prefs.set("nug.urlbar.placeholder.enabled", false);
+	assert.equal(input.getAttribute("placeholder"), "Search or enter address");
+	proc.prefs.set("nug.urlbar.placeholder", "Ignored");
+	assert.equal(input.getAttribute("placeholder"), "Search or enter address");
+});
+
+test("disabling the feature while setup waits leaves nothing behind", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow(SCRIPTS);
+	proc.prefs.set("nug.urlbar.placeholder.enabled", false);
+	await proc.tick();
+	const input = win.document.getElementById("urlbar-input");
+	assert.equal(input.getAttribute("placeholder"), "Search or enter address");
+	proc.prefs.set("nug.urlbar.placeholder", "Ignored");
+	assert.equal(input.getAttribute("placeholder"), "Search or enter address");
+});
+
+test("the container or workspace mapping overrides the default", async () => {
+	const { win, input, switchWorkspace } = await open({
+		"nug.urlbar.placeholder.map":
+			"office=Heads down; work=Work tab in {workspace}; broken",
+	});
+	assert.equal(input.getAttribute("placeholder"), "What it is");
+	switchWorkspace("Office");
+	assert.equal(input.getAttribute("placeholder"), "Heads down");
+	selectTab(win, win.gBrowser.addTab({ userContextId: WORK.userContextId }));
+	assert.equal(input.getAttribute("placeholder"), "Work tab in Office");
+	switchWorkspace("Home");
+	selectTab(win, win.gBrowser.addTab());
+	assert.equal(input.getAttribute("placeholder"), "What it is");
+});
+
+test("phrases rotate on focus", async () => {
+	const { win, input } = await open({
+		"nug.urlbar.placeholder": "One | Two|Three",
+	});
+	assert.equal(input.getAttribute("placeholder"), "One");
+	input.dispatchEvent(new win.Event("focus"));
+	assert.equal(input.getAttribute("placeholder"), "Two");
+	input.dispatchEvent(new win.Event("focus"));
+	input.dispatchEvent(new win.Event("focus"));
+	assert.equal(input.getAttribute("placeholder"), "One");
+});
+
+test("phrases rotate on an interval instead when one is set", async () => {
+	const { proc, win, input } = await open({
+		"nug.urlbar.placeholder": "One|Two",
+	});
+	// Rotation steps are whole seconds; run the timer by hand instead.
+	const timers = [];
+	win.setInterval = (fn, ms) => timers.push({ fn, ms });
+	win.clearInterval = () => {};
+	proc.prefs.set("nug.urlbar.placeholder.rotate", 10);
+	assert.deepEqual(
+		timers.map(({ ms }) => ms),
+		[10 * 1000],
+	);
+	input.dispatchEvent(new win.Event("focus"));
+	assert.equal(input.getAttribute("placeholder"), "One");
+	timers[0].fn();
+	assert.equal(input.getAttribute("placeholder"), "Two");
+});
@@ -0,0 +1,552 @@
+"use strict";
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createProcess } = require("./harness");
+
+const SCRIPTS = ["nug-core", "urlbar-scroller"];
+const DEBOUNCE_MS = 60;
+
+// Setup waits for the urlbar with waitForElement, so let it settle first.
+async function open(prefs = {}) {
+	const proc = createProcess({ prefs });
+	const win = proc.openWindow(SCRIPTS);
+	const urlbar = win.document.getElementById("urlbar");
+	const results = win.document.getElementById("urlbar-results");
+	await proc.tick();
+	return { proc, win, urlbar, results };
+}
+
+function showRows(win, results, count, { selected = -1 } = {}) {
+	results.replaceChildren();
+	for (let i = 0; i < count; i++) {
+		const row = win.document.createElement("div");
+		row.className = "urlbarView-row";
+		if (i === selected) row.setAttribute("selected", "");
+		results.appendChild(row);
+	}
+}
+
+test("fewer rows than the limit size the panel to fit them", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 3);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "153px");
+	assert.equal(results.style.overflowY, "hidden");
+	assert.equal(
+		results.classList.contains("zen-urlbar-scrollable-script"),
+		false,
+	);
+});
+
+test("more rows than the limit cap the height and scroll", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9, { selected: 7 });
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "255px");
+	assert.equal(results.style.overflowY, "auto");
+	assert.equal(
+		results.classList.contains("zen-urlbar-scrollable-script"),
+		true,
+	);
+	const [scroll] = win.scrolledIntoView;
+	assert.equal(scroll.element, results.children[7]);
+	assert.equal(scroll.options.behavior, "smooth");
+});
+
+test("tip and dynamic rows don't count toward the height", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 2);
+	results.children[1].setAttribute("type", "tip");
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "51px");
+});
+
+test("closing the popup resets the panel", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9);
+	await proc.tick(DEBOUNCE_MS);
+	urlbar.dispatchEvent(new win.Event("popuphidden"));
+	assert.equal(results.style.height, "");
+	assert.equal(
+		results.classList.contains("zen-urlbar-scrollable-script"),
+		false,
+	);
+});
+
+test("reduced motion scrolls the selection into view instantly", async () => {
+	const { proc, win, urlbar, results } = await open();
+	proc.setReducedMotion(true);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9, { selected: 8 });
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(win.scrolledIntoView.at(-1).options.behavior, "instant");
+});
+
+test("disabling the scroller hands sizing back to Firefox", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9);
+	await proc.tick(DEBOUNCE_MS);
+	proc.prefs.set("nug.urlbar.scroller.enabled", false);
+	assert.equal(results.style.height, "");
+	assert.equal(
+		win.document.getElementById(
+			"zen-urlbar-animated-height-styles-css-controlled",
+		),
+		null,
+	);
+	showRows(win, results, 4);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "");
+});
+
+test("disabling the scroller while setup waits leaves nothing behind", async () => {
+	const proc = createProcess();
+	const win = proc.openWindow(SCRIPTS);
+	proc.prefs.set("nug.urlbar.scroller.enabled", false);
+	await proc.tick();
+	const { document } = win;
+	assert.equal(
+		document.getElementById(
+			"zen-urlbar-animated-height-styles-css-controlled",
+		),
+		null,
+	);
+	assert.equal(document.querySelector(".nug-urlbar-palette-header"), null);
+	const results = document.getElementById("urlbar-results");
+	document.getElementById("urlbar").setAttribute("open", "");
+	showRows(win, results, 9);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "");
+});
+
+test("row limit and height prefs apply live", async () => {
+	const { proc, win, urlbar, results } = await open({
+		"nug.urlbar.scroller.row-height": 40,
+	});
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "200px");
+	proc.prefs.set("nug.urlbar.scroller.rows", 3);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "120px");
+	const style = win.document.getElementById(
+		"zen-urlbar-animated-height-styles-css-controlled",
+	);
+	assert.match(style.textContent, /max-height: 120px/);
+	assert.equal(win.getComputedStyle(results).maxHeight, "120px");
+});
+
+test("auto height measures the rendered rows", async () => {
+	const { proc, win, urlbar, results } = await open();
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 9);
+	// Rows of 48px, except a taller second one with a description.
+	let top = 0;
+	for (const [i, row] of [...results.children].entries()) {
+		const rect = { top, bottom: top + (i === 1 ? 70 : 48) };
+		row.getBoundingClientRect = () => ({
+			...rect,
+			height: rect.bottom - rect.top,
+		});
+		top = rect.bottom;
+	}
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, `${4 * 48 + 70}px`);
+	// The stylesheet's fallback cap (5 × 51px) no longer clips them.
+	assert.equal(win.getComputedStyle(results).maxHeight, "none");
+
+	// Closed again, the cap is back for the next opening.
+	urlbar.dispatchEvent(new win.Event("popuphidden"));
+	assert.equal(win.getComputedStyle(results).maxHeight, "255px");
+});
+
+// Stand-in for UrlbarView: selectedRowIndex indexes every row, hidden ones
+// included.
+function stubView(win, results) {
+	win.gURLBar = {
+		view: {
+			set selectedRowIndex(index) {
+				const rows = results.querySelectorAll(".urlbarView-row");
+				for (const [i, row] of rows.entries())
+					row.toggleAttribute("selected", i === index);
+			},
+		},
+	};
+}
+
+function press(win, key, options = {}) {
+	const event = new win.KeyboardEvent("keydown", {
+		key,
+		bubbles: true,
+		cancelable: true,
+		...options,
+	});
+	win.document.getElementById("urlbar-input").dispatchEvent(event);
+	return event;
+}
+
+const selectedIndex = (results) =>
+	[...results.children].findIndex((row) => row.hasAttribute("selected"));
+
+test("PageUp and PageDown move by the visible page and wrap", async () => {
+	const { proc, win, urlbar, results } = await open();
+	stubView(win, results);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 12, { selected: 0 });
+	const event = press(win, "PageDown");
+	assert.equal(event.defaultPrevented, true);
+	assert.equal(selectedIndex(results), 5);
+	press(win, "PageDown");
+	assert.equal(selectedIndex(results), 10);
+	press(win, "PageDown");
+	assert.equal(selectedIndex(results), 11);
+	press(win, "PageDown");
+	assert.equal(selectedIndex(results), 0);
+	press(win, "PageUp");
+	assert.equal(selectedIndex(results), 11);
+	press(win, "PageUp");
+	assert.equal(selectedIndex(results), 6);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(win.scrolledIntoView.at(-1).element, results.children[6]);
+});
+
+test("Home and End need accel while typing", async () => {
+	const { win, urlbar, results } = await open();
+	stubView(win, results);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 8, { selected: 3 });
+	press(win, "End");
+	assert.equal(selectedIndex(results), 7);
+	urlbar.setAttribute("usertyping", "");
+	const event = press(win, "Home");
+	assert.equal(event.defaultPrevented, false);
+	assert.equal(selectedIndex(results), 7);
+	press(win, "Home", { ctrlKey: true });
+	assert.equal(selectedIndex(results), 0);
+});
+
+test("paging skips hidden rows and selects the row it landed on", async () => {
+	const { win, urlbar, results } = await open();
+	stubView(win, results);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 12, { selected: 3 });
+	results.children[1].hidden = true;
+	results.children[2].hidden = true;
+	press(win, "PageDown");
+	// Five rows on from the fourth; the hidden ones before it don't count.
+	assert.equal(selectedIndex(results), 8);
+	press(win, "Home", { ctrlKey: true });
+	assert.equal(selectedIndex(results), 0);
+	press(win, "End");
+	assert.equal(selectedIndex(results), 11);
+});
+
+test("paging keys are left alone while the results are closed", async () => {
+	const { win, urlbar, results } = await open();
+	stubView(win, results);
+	showRows(win, results, 8, { selected: 0 });
+	const event = press(win, "PageDown");
+	assert.equal(event.defaultPrevented, false);
+	assert.equal(selectedIndex(results), 0);
+});
+
+// Pretends the panel is scrolled to its bottom edge.
+function scrollToBottom(win, results) {
+	Object.defineProperty(results, "scrollHeight", {
+		configurable: true,
+		value: 1000,
+	});
+	Object.defineProperty(results, "clientHeight", {
+		configurable: true,
+		value: 255,
+	});
+	results.scrollTop = 745;
+	results.dispatchEvent(new win.Event("scroll"));
+}
+
+// A urlbar whose controller records each query context, sized from the pref
+// the way UrlbarInput does, and can report one finished with `count` results.
+function stubUrlbar(proc, win, search) {
+	const queries = [];
+	const listeners = new Set();
+	const controller = {
+		startQuery(queryContext) {
+			queries.push(queryContext);
+		},
+		addQueryListener: (listener) => listeners.add(listener),
+		removeQueryListener: (listener) => listeners.delete(listener),
+	};
+	win.gURLBar = {
+		...search,
+		controller,
+		startQuery({ searchString }) {
+			controller.startQuery({
+				searchString,
+				maxResults: proc.prefs.getIntPref(
+					"browser.urlbar.maxRichResults",
+					10,
+				),
+			});
+		},
+	};
+	const finish = (count) => {
+		const queryContext = queries.at(-1);
+		queryContext.results = Array.from({ length: count });
+		for (const listener of listeners)
+			listener.onQueryFinished(queryContext);
+	};
+	return { queries, listeners, finish, native: controller.startQuery };
+}
+
+test("scrolling to the bottom loads more results up to the cap", async () => {
+	const { proc, win, urlbar, results } = await open({
+		"browser.urlbar.maxRichResults": 10,
+		"nug.urlbar.scroller.max-results": 25,
+	});
+	const { queries, finish } = stubUrlbar(proc, win, {
+		_lastSearchString: "zen",
+	});
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 10);
+	await proc.tick(DEBOUNCE_MS);
+
+	scrollToBottom(win, results);
+	assert.deepEqual(
+		[queries[0].searchString, queries[0].maxResults],
+		["zen", 20],
+	);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 1, "one load at a time");
+
+	showRows(win, results, 20);
+	finish(20);
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries[1].maxResults, 25);
+	showRows(win, results, 25);
+	finish(25);
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 2);
+	// The user's pref is never touched.
+	assert.equal(proc.prefs.getIntPref("browser.urlbar.maxRichResults"), 10);
+
+	// Closing starts over at the user's count.
+	urlbar.dispatchEvent(new win.Event("popuphidden"));
+	win.gURLBar.startQuery({ searchString: "zen" });
+	assert.equal(queries.at(-1).maxResults, 10);
+});
+
+test("load more waits for the query, and stops once one comes back short", async () => {
+	const { proc, win, urlbar, results } = await open();
+	const { queries, listeners, finish, native } = stubUrlbar(proc, win, {
+		value: "zen",
+	});
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 10);
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 1);
+	// A selection change while the query runs doesn't end the load.
+	results.children[0].setAttribute("selected", "");
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 1, "still loading");
+
+	showRows(win, results, 20);
+	finish(20);
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 2);
+	// This one had only a few more to add.
+	showRows(win, results, 23);
+	finish(23);
+	await proc.tick(DEBOUNCE_MS);
+	scrollToBottom(win, results);
+	assert.equal(queries.length, 2);
+
+	// Typing starts over with the user's own result count.
+	urlbar.dispatchEvent(new win.Event("input"));
+	win.gURLBar.startQuery({ searchString: "zena" });
+	assert.equal(queries.at(-1).maxResults, 10);
+	proc.prefs.set("nug.urlbar.scroller.enabled", false);
+	assert.equal(listeners.size, 0);
+	assert.equal(win.gURLBar.controller.startQuery, native);
+});
+
+function enterPalette(win) {
+	win.ZenCommandPalette = { provider: { _isInPrefixMode: true } };
+}
+
+test("the command palette scrolls with its own row limit", async () => {
+	const { proc, win, urlbar, results } = await open();
+	enterPalette(win);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 12);
+	results.children[0].setAttribute("type", "dynamic");
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, `${8 * 51}px`);
+	assert.equal(results.style.overflowY, "auto");
+	assert.ok(results.classList.contains("zen-urlbar-palette-script"));
+	const style = win.document.getElementById(
+		"zen-urlbar-animated-height-styles-css-controlled",
+	);
+	assert.match(style.textContent, /palette-script \{\s*max-height: 408px/);
+
+	win.ZenCommandPalette.provider._isInPrefixMode = false;
+	results.children[1].setAttribute("selected", "");
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, `${5 * 51}px`);
+	assert.ok(!results.classList.contains("zen-urlbar-palette-script"));
+});
+
+test("a palette row limit of 0 leaves the palette to Zen", async () => {
+	const { proc, win, urlbar, results } = await open({
+		"nug.urlbar.scroller.palette-rows": 0,
+	});
+	enterPalette(win);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 12);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(results.style.height, "");
+});
+
+test("the label of the group scrolled past stays on top", async () => {
+	const { proc, win, urlbar, results } = await open();
+	enterPalette(win);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 12);
+	results.children[0].setAttribute("label", "Tabs");
+	results.children[6].setAttribute("label", "Settings");
+	await proc.tick(DEBOUNCE_MS);
+	const header = results.previousElementSibling;
+	assert.equal(header.hidden, true);
+
+	// Scrolled so the second row is at the top of the panel.
+	const scrollTo = (offset) => {
+		for (const [i, row] of [...results.children].entries()) {
+			const top = i * 51 - offset;
+			row.getBoundingClientRect = () => ({ top, bottom: top + 51 });
+		}
+		results.dispatchEvent(new win.Event("scroll"));
+	};
+	scrollTo(51);
+	assert.equal(header.hidden, false);
+	assert.equal(header.textContent, "Tabs");
+	scrollTo(7 * 51);
+	assert.equal(header.textContent, "Settings");
+	scrollTo(0);
+	assert.equal(header.hidden, true);
+});
+
+// Records WAAPI calls; jsdom has no Element.animate. Nothing actually runs,
+// so the inline height stands in for the computed one: set it to wherever a
+// running animation has got to, and currentTime to how long it has run.
+function stubAnimate(results, { height = 51 } = {}) {
+	const animations = [];
+	results.style.height = `${height}px`;
+	results.animate = (keyframes, options) => {
+		const animation = {
+			keyframes,
+			options,
+			playState: "running",
+			currentTime: 0,
+			effect: { getTiming: () => ({ ...options }) },
+			cancel() {
+				animation.playState = "idle";
+			},
+			finished: new Promise(() => {}),
+		};
+		animations.push(animation);
+		return animation;
+	};
+	return animations;
+}
+
+// Array.from, so the result is a Node array deepEqual can compare.
+const heights = (animation) =>
+	Array.from(animation.keyframes, (frame) => frame.height);
+
+test("height changes animate and streaming updates retarget", async () => {
+	const { proc, win, urlbar, results } = await open();
+	const animations = stubAnimate(results);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 3);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(animations.length, 1);
+	assert.deepEqual(heights(animations[0]), ["51px", "153px"]);
+	assert.equal(results.style.height, "153px");
+
+	// Partway there, more rows stream in: start over from where it got to.
+	results.style.height = "100px";
+	showRows(win, results, 4);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(animations.length, 2);
+	assert.equal(animations[0].playState, "idle");
+	assert.deepEqual(heights(animations[1]), ["100px", "204px"]);
+	assert.equal(results.style.height, "204px");
+
+	// Already at the target: nothing to animate, and nothing left running.
+	results.style.height = "153px";
+	showRows(win, results, 3);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(animations.length, 2);
+	assert.equal(animations[1].playState, "idle");
+});
+
+test("rapid updates finish when the first animation would have", async () => {
+	const { proc, win, urlbar, results } = await open();
+	const animations = stubAnimate(results);
+	urlbar.setAttribute("open", "");
+	let rows = 2;
+	showRows(win, results, rows);
+	await proc.tick(DEBOUNCE_MS);
+	// Each update lands some way into the animation before it.
+	const update = async (elapsed) => {
+		animations.at(-1).currentTime = elapsed;
+		showRows(win, results, ++rows);
+		await proc.tick(DEBOUNCE_MS);
+	};
+	await update(60);
+	await update(100);
+	const durations = animations.map((a) => a.options.duration);
+	assert.deepEqual(durations, [180, 120, 20]);
+	assert.equal(60 + 100 + durations.at(-1), 180);
+
+	// Once that has finished, the next change gets the full duration again.
+	await update(20);
+	assert.equal(animations.at(-1).options.duration, 180);
+});
+
+test("the results carry the scroller's own motion level", async () => {
+	const { proc, results } = await open();
+	assert.equal(results.getAttribute("nug-motion"), "full");
+	proc.setReducedMotion(true);
+	assert.equal(results.getAttribute("nug-motion"), "reduced");
+	// Opted back in, userChrome.css leaves their transitions alone.
+	proc.prefs.set("nug.urlbar.scroller.motion", "full");
+	assert.equal(results.getAttribute("nug-motion"), "full");
+
+	proc.prefs.set("nug.urlbar.scroller.enabled", false);
+	assert.equal(results.hasAttribute("nug-motion"), false);
+	proc.prefs.set("nug.urlbar.scroller.motion", "reduced");
+	assert.equal(results.hasAttribute("nug-motion"), false);
+});
+
+test("reduced motion sets heights without animating", async () => {
+	const { proc, win, urlbar, results } = await open();
+	const animations = stubAnimate(results);
+	proc.setReducedMotion(true);
+	urlbar.setAttribute("open", "");
+	showRows(win, results, 3);
+	await proc.tick(DEBOUNCE_MS);
+	assert.equal(animations.length, 0);
+	assert.equal(results.style.height, "153px");
+});